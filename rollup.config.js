@@ -89,32 +89,59 @@ function buildHTML() {
   };
 }
 
+const replacePlugin = replace({
+  '__ENV__': JSON.stringify(process.env.NODE_ENV),
+});
+
+const terserPlugin = terser({
+  mangle: {module: true},
+  format: {
+    comments: false,
+  },
+});
+
 const plugins = [
   nodeResolve(),
   buildCSS(),
   buildHTML(),
-  replace({
-    '__ENV__': JSON.stringify(process.env.NODE_ENV),
-  }),
+  replacePlugin,
+];
+
+// The worker is a classic script (for browser compatibility), so it's built
+// as its own bundle. It only needs the JS plugins.
+const workerPlugins = [
+  nodeResolve(),
+  replacePlugin,
 ];
+
 if (process.env.NODE_ENV === 'production') {
-  plugins.push(terser({
-    mangle: {module: true},
-    format: {
-      comments: false,
-    },
-  }));
+  plugins.push(terserPlugin);
+  workerPlugins.push(terserPlugin);
 }
 
-export default {
-  input: 'src/main.js',
-  plugins,
-  output: {
-    file: 'public/main.js',
-    sourcemap: true,
-    format: 'es',
+export default [
+  {
+    input: 'src/main.js',
+    plugins,
+    output: {
+      file: 'public/main.js',
+      sourcemap: true,
+      format: 'es',
+    },
+    watch: {
+      clearScreen: false,
+    },
   },
-  watch: {
-    clearScreen: false,
+  {
+    input: 'src/worker.js',
+    plugins: workerPlugins,
+    output: {
+      file: 'public/worker.js',
+      sourcemap: true,
+      format: 'iife',
+    },
+    watch: {
+      clearScreen: false,
+    },
   },
-};
+];
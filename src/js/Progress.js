@@ -33,6 +33,18 @@ class Progress {
     };
   }
 
+  /**
+   * Clears all progress (e.g. when a report is cancelled). Any updates from
+   * requests that are still settling are ignored until the next `init()`.
+   */
+  reset() {
+    clearTimeout(this._timeout);
+    this._total = 0;
+    this._cur = 0;
+    this._percentage = 0;
+    this._onChange = () => {};
+  }
+
   get percentage() {
     return this._percentage;
   }
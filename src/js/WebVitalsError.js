@@ -31,20 +31,63 @@ const errorMap = {
       'day, which is the maximum that can be reported on using the API.',
     ].join(' '),
   },
-  'unsupported_filter_expression': {
-    title: 'Unsupported filter expression...',
+  'quota_exceeded': {
+    title: 'Google Analytics API quota exceeded...',
     message: [
-      'OR based filter expressions (using a comma) are not supported.',
-      'Only AND based filter expressions (using a semicolon) are allowed.',
+      'The daily request quota for the Google Analytics API has been used up.',
+      'Quotas reset at midnight Pacific Time, so try again then. Reports for',
+      'dates that were already fetched are cached and do not use any quota.',
+    ].join(' '),
+  },
+  'invalid_api_response': {
+    title: 'Invalid Google Analytics API response...',
+    message: [
+      'The Google Analytics API responded with a %s status but the response',
+      'could not be parsed. This is usually a temporary problem, so try',
+      'running the report again.',
     ].join(' '),
   },
   'invalid_filter_expression': {
     title: 'Invalid filter expression...',
     message: [
-      'Filter expression "%s" is not valid. See:',
+      'Filter expression "%s" is not valid: %s (at character %s). See:',
       'https://github.com/GoogleChromeLabs/web-vitals-report#filter-reference',
     ].join(' '),
   },
+  'invalid_path_rule': {
+    title: 'Invalid page path rule...',
+    message: [
+      'The page path grouping pattern "%s" is not a valid regular expression',
+      '(%s). Update or remove it in the advanced options.',
+    ].join(' '),
+  },
+  'too_many_debug_dimensions': {
+    title: 'Too many debug dimensions...',
+    message: [
+      'A report can include at most %s debug dimensions for this type of',
+      'property, as they must be requested along with the page path and',
+      'the required metric dimensions. Remove some in the advanced options.',
+    ].join(' '),
+  },
+  'too_many_drill_down_paths': {
+    title: 'Too many paths in route...',
+    message: [
+      'The route "%s" groups %s page paths, but drilling into a route can',
+      'filter by at most %s paths. Drill into one of its paths instead, or',
+      'use a more specific page path grouping rule.',
+    ].join(' '),
+  },
+  'unsupported_ga4_segment': {
+    title: 'Unsupported segment...',
+    message: [
+      'The segment "%s" is not available for Google Analytics 4 properties.',
+      'Choose one of the built-in segments listed for GA4 properties.',
+    ].join(' '),
+  },
+  'report_cancelled': {
+    title: 'Report cancelled',
+    message: 'The report was cancelled before it finished loading.',
+  },
   'unexpected_metric': {
     title: 'Unexpected metric',
     message: 'The report contained a metric named "%s", which is not a valid.',
@@ -62,5 +105,6 @@ export class WebVitalsError extends Error {
     super(message);
     this.title = title;
     this.code = code;
+    this.params = params;
   }
 }
@@ -0,0 +1,323 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {METRICS, TTFB_PARTS} from './metrics.js';
+import {createPathNormalizer} from './paths.js';
+import {WebVitalsError} from './WebVitalsError.js';
+
+
+/**
+ * Aggregates report rows into per-metric values, and values for each
+ * breakdown dimension, for each segment. This module runs in the report
+ * worker (see `worker.js`), so it must not depend on the DOM or on any
+ * main-thread state; everything it needs is passed in via `context`.
+ *
+ * Rows from the main report have the dimensions `[segmentId, date, metric,
+ * ...mainDims, metricId, ...debugDims]`. Breakdown dimensions that didn't fit
+ * in the main report are requested in additional reports, whose rows have
+ * the dimensions `[segmentId, date, metric, ...dimensions, metricId]`.
+ * @param {Array} rows
+ * @param {Array|null} ttfbRows Rows from the TTFB timing report, if any.
+ * @param {Array<{rows: Array, dimensions: Array<string>}>} breakdownReports
+ * @param {{
+ *   segments: Array<[string, string]>,
+ *   metricNameMap: Object<string, string>,
+ *   breakdowns: Array<{dimension: string, label: string}>,
+ *   mainDims: Array<string>,
+ *   pageDim: string,
+ *   pathRules: Object,
+ *   debugDims: Array<{dimension: string, label: string}>,
+ * }} context The segment IDs and names (in report order), the map of custom
+ *     metric names to standard names, the breakdowns to show (in order),
+ *     the breakdown dimensions in the main report, the page dimension (which
+ *     is always in the main report), the rules used to group page paths
+ *     into routes (see `compilePathRules()`), and the debug dimensions at
+ *     the end of each main report row.
+ * @return {Object}
+ */
+export function aggregateReport(rows, ttfbRows, breakdownReports, context) {
+  const {metricNameMap, mainDims, pageDim, debugDims} = context;
+  const segmentNames = new Map(context.segments);
+  const normalizePath = createPathNormalizer(context.pathRules);
+  const pageDimIndex = 3 + mainDims.indexOf(pageDim);
+
+  // The raw (i.e. not normalized) page paths, for previewing path rules.
+  const pagePaths = new Set();
+
+  if (rows.length === 0) {
+    throw new WebVitalsError('no_web_vitals_events');
+  }
+
+  const getSegmentsObj = (getDefaultValue = () => []) => {
+    // As Segments C and D are optional they may not exist
+    const retValue = {};
+    for (const segmentName of segmentNames.values()) {
+      retValue[segmentName] = getDefaultValue();
+    }
+    return retValue;
+  };
+
+  const getMetricsObj = (getDefaultValue = getSegmentsObj) => {
+    return Object.fromEntries(METRICS.map((metric) => {
+      return [metric, getDefaultValue()];
+    }));
+  };
+
+  // Convert the metric from any custom name to the standard name.
+  const getMetric = (metricName) => {
+    const metric = metricNameMap[metricName];
+
+    // Even though the report limits `metric` values to those in `METRICS`
+    // for reports with more than a million rows of data, Google Analytics
+    // will aggregate everything after the first million rows into and "(other)"
+    // bucket, which skews the data and makes the report useless.
+    // The only solution to this is to make more granular requests (e.g.
+    // reduce the date range or add filters) and manually combine the data
+    // yourself.
+    if (!METRICS.includes(metric)) {
+      throw new WebVitalsError('unexpected_metric', metricName);
+    }
+    return metric;
+  };
+
+  // CLS is sent to Google Analytics at 1000x for greater precision.
+  const getValue = (metric, value) => metric === 'CLS' ? value / 1000 : value;
+
+  // The page breakdown is always aggregated, as it's needed for the debug
+  // info even when it's not one of the breakdowns shown.
+  const breakdownValues = new Map([[pageDim, {}]]);
+  for (const {dimension} of context.breakdowns) {
+    breakdownValues.set(dimension, {});
+  }
+
+  // The number of values for each dimension value (across all metrics and
+  // segments). These are kept separately from the values, which are keyed
+  // by metric, so they're included when the data is posted from the worker.
+  const breakdownCounts = new Map();
+  for (const dimension of breakdownValues.keys()) {
+    breakdownCounts.set(dimension, {});
+  }
+
+  const addBreakdownValue = (dimension, dimensionValue, metric, segment,
+      value) => {
+    const values = breakdownValues.get(dimension);
+    values[dimensionValue] = values[dimensionValue] || getMetricsObj();
+    const segmentValues = values[dimensionValue][metric][segment];
+    segmentValues.push(value);
+    const counts = breakdownCounts.get(dimension);
+    counts[dimensionValue] = (counts[dimensionValue] || 0) + 1;
+    return segmentValues;
+  };
+
+  const data = {
+    metrics: getMetricsObj(() => {
+      return {values: [], segments: getSegmentsObj(), dates: {}};
+    }),
+  };
+
+  const pageLoadValues = getPageLoadValues(rows, 3 + mainDims.length);
+  for (const {value: metricValue, dimensions} of pageLoadValues) {
+    const [segmentId, date, metricName] = dimensions;
+    const metric = getMetric(metricName);
+    const value = getValue(metric, metricValue);
+    const segment = segmentNames.get(segmentId);
+
+    // The debug values are keyed by the JSON of all debug dimension values,
+    // so they can be grouped by any combination of them when rendered.
+    const debugId = debugDims.length ?
+        JSON.stringify(dimensions.slice(-debugDims.length)) : null;
+
+    const metricData = data.metrics[metric];
+    metricData.values.push(value);
+
+    // Breakdown by segment.
+    metricData.segments[segment] = metricData.segments[segment] || [];
+    metricData.segments[segment].push(value);
+
+    // Breakdown by date.
+    metricData.dates[date] = metricData.dates[date] || getSegmentsObj();
+    metricData.dates[date][segment].push(value);
+
+    const pagePath = dimensions[pageDimIndex];
+    pagePaths.add(pagePath);
+
+    mainDims.forEach((dimension, i) => {
+      // Pages are reported by route, after the path rules are applied.
+      const dimensionValue = dimension === pageDim ?
+          normalizePath(pagePath) : dimensions[3 + i];
+
+      const segmentValues = addBreakdownValue(
+          dimension, dimensionValue, metric, segment, value);
+
+      // The date of each page value (in the same order as the values), so
+      // pages can be attributed changes over time.
+      if (dimension === pageDim) {
+        segmentValues.dates = segmentValues.dates || [];
+        segmentValues.dates.push(date);
+      }
+
+      // Debug info by page.
+      if (debugId && dimension === pageDim) {
+        segmentValues.debug = segmentValues.debug || {};
+        segmentValues.debug[debugId] = segmentValues.debug[debugId] || [];
+        segmentValues.debug[debugId].push(value);
+      }
+    });
+  }
+
+  for (const report of breakdownReports) {
+    const reportDims = report.dimensions;
+    const reportValues = getPageLoadValues(report.rows, 3 + reportDims.length);
+
+    for (const {value: metricValue, dimensions} of reportValues) {
+      const [segmentId, , metricName] = dimensions;
+      const metric = getMetric(metricName);
+      const value = getValue(metric, metricValue);
+      const segment = segmentNames.get(segmentId);
+
+      reportDims.forEach((dimension, i) => {
+        addBreakdownValue(dimension, dimensions[3 + i], metric, segment, value);
+      });
+    }
+  }
+
+  if (ttfbRows) {
+    data.metrics.TTFB.parts = getTTFBParts(ttfbRows, segmentNames);
+  }
+
+  // Sort data
+  function sortObjByCount(obj, counts) {
+    const newObj = {};
+    const sortedKeys =
+        Object.keys(obj).sort((a, b) => counts[b] - counts[a]);
+
+    for (const key of sortedKeys) {
+      newObj[key] = obj[key];
+    }
+    return newObj;
+  }
+
+  // Sort data by count.
+  for (const [dimension, values] of breakdownValues) {
+    breakdownValues.set(
+        dimension, sortObjByCount(values, breakdownCounts.get(dimension)));
+  }
+
+  data.breakdowns = context.breakdowns.map(({dimension, label}) => {
+    return {
+      dimension,
+      label,
+      values: breakdownValues.get(dimension),
+      counts: breakdownCounts.get(dimension),
+    };
+  });
+  data.pages = breakdownValues.get(pageDim);
+  data.pagePaths = [...pagePaths];
+  data.debugDims = debugDims;
+
+  return data;
+}
+
+function isMissingMetricId(metricId) {
+  return !metricId || metricId === '(not set)';
+}
+
+/**
+ * The `web-vitals` library reports deltas, so metrics that can be reported
+ * more than once per page load (e.g. CLS and INP) will have multiple rows
+ * with the same metric ID. This sums the deltas for each metric ID (within
+ * each segment, as a page load can belong to more than one segment) to get
+ * the final value, and uses the dimensions from the row with the largest
+ * delta, as that's what most influenced the final value. Rows without a
+ * metric ID (e.g. events sent without one, or IDs Google Analytics replaced
+ * with "(not set)" due to cardinality limits) can't be grouped, so each is
+ * counted as its own page load rather than summed into one.
+ * @param {Array} rows
+ * @param {number} metricIdIndex The index of the metric ID dimension.
+ * @return {Array<{value: number, dimensions: Array<string>}>} The final
+ *     page load values, sorted in ascending order.
+ */
+function getPageLoadValues(rows, metricIdIndex) {
+  const pageLoads = new Map();
+  const ungroupedPageLoads = [];
+
+  for (const row of rows) {
+    const value = Number(row.metrics[0].values[0]);
+    const segmentId = row.dimensions[0];
+    const metricId = row.dimensions[metricIdIndex];
+
+    if (isMissingMetricId(metricId)) {
+      ungroupedPageLoads.push({value, dimensions: row.dimensions});
+      continue;
+    }
+
+    const key = `${segmentId}:${metricId}`;
+    const pageLoad = pageLoads.get(key);
+    if (pageLoad) {
+      if (value > pageLoad.maxDelta) {
+        pageLoad.maxDelta = value;
+        pageLoad.dimensions = row.dimensions;
+      }
+      pageLoad.value += value;
+    } else {
+      pageLoads.set(key, {
+        value,
+        maxDelta: value,
+        dimensions: row.dimensions,
+      });
+    }
+  }
+
+  // Summing deltas can change the order, so the values must be re-sorted
+  // before they're bucketed (percentile calculations rely on sorted values).
+  return [...pageLoads.values(), ...ungroupedPageLoads]
+      .sort((a, b) => a.value - b.value);
+}
+
+/**
+ * Parses the `navigation_timing` values (see `analytics.js`) into arrays of
+ * sub-part durations for each segment.
+ * @param {Array} rows
+ * @param {Map<string, string>} segmentNames
+ * @return {Object}
+ */
+function getTTFBParts(rows, segmentNames) {
+  const parts = {};
+  for (const segmentName of segmentNames.values()) {
+    parts[segmentName] =
+        Object.fromEntries(TTFB_PARTS.map((part) => [part, []]));
+  }
+
+  for (const row of rows) {
+    const segmentId = row.dimensions[0];
+    const timing = row.dimensions[3];
+    const segmentParts = parts[segmentNames.get(segmentId)];
+    const durations = timing.split(',').map(Number);
+
+    // Ignore rows where the timing dimension isn't set or is malformed.
+    if (segmentParts && durations.length === TTFB_PARTS.length &&
+        durations.every((d) => Number.isFinite(d))) {
+      TTFB_PARTS.forEach((part, i) => segmentParts[part].push(durations[i]));
+    }
+  }
+
+  for (const segmentParts of Object.values(parts)) {
+    for (const durations of Object.values(segmentParts)) {
+      durations.sort((a, b) => a - b);
+    }
+  }
+  return parts;
+}
@@ -18,10 +18,11 @@
 
 import {onCLS, onFCP, onFID, onLCP, onINP, onTTFB} from 'web-vitals/attribution';
 import {getSegmentNameById} from './api.js';
+import {getRating, THRESHOLDS} from './metrics.js';
 
 const getConfig = (id) => {
   const config = {
-    measurement_version: '8',
+    measurement_version: '9',
     page_path: location.pathname,
   };
 
@@ -36,6 +37,7 @@ const getConfig = (id) => {
         dimension5: 'report_source',
         dimension6: 'debug_target',
         dimension7: 'metric_rating',
+        dimension8: 'navigation_timing',
         metric1: 'report_size',
       },
     });
@@ -48,25 +50,6 @@ const getConfig = (id) => {
   return ['config', id, config];
 };
 
-const thresholds = {
-  CLS: [0.1, 0.25],
-  FCP: [1800, 3000],
-  FID: [100, 300],
-  LCP: [2500, 4000],
-  INP: [200, 500],
-  TTFB: [800, 1800],
-};
-
-function getRating(value, thresholds) {
-  if (value > thresholds[1]) {
-    return 'poor';
-  }
-  if (value > thresholds[0]) {
-    return 'ni';
-  }
-  return 'good';
-}
-
 function wasFIDBeforeDCL(fidEntry) {
   const navEntry = performance.getEntriesByType('navigation')[0];
   return navEntry
@@ -119,6 +102,19 @@ function getDebugInfo(name, attribution) {
   };
 }
 
+// The TTFB sub-part durations, in the order of `TTFB_PARTS` in `metrics.js`
+// (which is how the report parses them from the timing dimension).
+function getNavigationTiming(attribution) {
+  const {dnsTime, connectionTime, requestTime, navigationEntry} = attribution;
+  const responseTime = navigationEntry ?
+      Math.max(navigationEntry.responseEnd - navigationEntry.responseStart, 0) :
+      0;
+
+  return [dnsTime, connectionTime, requestTime, responseTime]
+      .map((duration) => Math.round(duration))
+      .join(',');
+}
+
 function handleMetric({name, value, delta, id, attribution}) {
   const params = {
     value: Math.round(name === 'CLS' ? delta * 1000 : delta),
@@ -126,7 +122,7 @@ function handleMetric({name, value, delta, id, attribution}) {
     event_label: id,
     metric_value: value,
     metric_delta: delta,
-    metric_rating: getRating(value, thresholds[name]),
+    metric_rating: getRating(value, THRESHOLDS[name]),
     non_interaction: true,
     ...getDebugInfo(name, attribution),
   };
@@ -138,6 +134,7 @@ function handleMetric({name, value, delta, id, attribution}) {
       connect_start: attribution.navigationEntry.connectStart,
       request_start: attribution.navigationEntry.requestStart,
       response_start: attribution.navigationEntry.responseStart,
+      navigation_timing: getNavigationTiming(attribution),
     });
   }
 
@@ -177,7 +174,7 @@ function anonymizeConfig(state) {
 export function measureReport({state, duration, report, error}) {
   gtag('event', `report_${error ? 'error' : 'success'}`, {
     value: duration,
-    report_size: report ? report.rows.length : 0,
+    report_size: report ? report.meta.rowCount : 0,
     segments: [
       anonymizeSegment(state.segmentA),
       anonymizeSegment(state.segmentB),
@@ -0,0 +1,201 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {getMinSamples, getPooledPercentile, isSignificantChange} from './stats.js';
+
+
+// The maximum number of days before and after a date that are compared to
+// detect a shift on that date.
+const WINDOW_DAYS = 7;
+
+// The minimum number of days (with enough data) before and after a date
+// for a shift to be detected on it.
+const MIN_WINDOW_DAYS = 3;
+
+// The minimum relative change in the percentile for a shift to be reported,
+// as significant but tiny changes aren't worth investigating.
+const MIN_RELATIVE_CHANGE = 0.1;
+
+// The maximum number of shifts reported per metric and segment.
+const MAX_SHIFTS = 3;
+
+// The maximum number of contributing pages reported per shift.
+const MAX_PAGES = 5;
+
+/**
+ * Returns the candidate shifts in a daily series, where the percentile of
+ * the days after a date differs significantly from the days before it.
+ * Comparing the combined values of several days (rather than the daily
+ * percentiles) means days with few values have little influence.
+ * @param {Array<string>} dates The dates with values, in order.
+ * @param {Array<Array<number>>} dayValues The (sorted) values of each date.
+ * @param {number} percentile
+ * @return {Array<Object>}
+ */
+function getCandidateShifts(dates, dayValues, percentile) {
+  const minDaySamples = Math.ceil(getMinSamples(percentile) / WINDOW_DAYS);
+  const candidates = [];
+
+  for (let i = MIN_WINDOW_DAYS; i <= dates.length - MIN_WINDOW_DAYS; i++) {
+    const beforeDays = dayValues.slice(Math.max(i - WINDOW_DAYS, 0), i);
+    const afterDays = dayValues.slice(i, i + WINDOW_DAYS);
+
+    // Skip dates without enough days with data on either side.
+    const hasData = (values) => values.length >= minDaySamples;
+    if (beforeDays.filter(hasData).length < MIN_WINDOW_DAYS ||
+        afterDays.filter(hasData).length < MIN_WINDOW_DAYS) {
+      continue;
+    }
+
+    const before = getPooledPercentile(beforeDays, percentile);
+    const after = getPooledPercentile(afterDays, percentile);
+    if (!before || !after || before.value === 0) {
+      continue;
+    }
+
+    const relativeChange = (after.value - before.value) / before.value;
+    if (Math.abs(relativeChange) >= MIN_RELATIVE_CHANGE &&
+        isSignificantChange(
+            before.value, before.interval, after.value, after.interval)) {
+      candidates.push({
+        index: i,
+        date: dates[i],
+        before: before.value,
+        after: after.value,
+        change: after.value - before.value,
+        relativeChange,
+        beforeDates: dates.slice(Math.max(i - WINDOW_DAYS, 0), i),
+        afterDates: dates.slice(i, i + WINDOW_DAYS),
+        beforeCount: before.count,
+        afterCount: after.count,
+      });
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Returns the pages that contributed most to a shift. A page's contribution
+ * is the change in the share of all page loads (in the shift's segment)
+ * that were from the page and above the percentile value before the shift.
+ * The contributions of all pages add up to the overall change in the share
+ * of page loads above that value, which is what moves the percentile.
+ * @param {Object} pages The `pages` data returned by `getWebVitalsData()`.
+ * @param {string} metric
+ * @param {string} segment
+ * @param {Object} shift
+ * @return {Array<{page: string, contribution: number, count: number}>}
+ */
+function getContributingPages(pages, metric, segment, shift) {
+  const beforeDates = new Set(shift.beforeDates);
+  const afterDates = new Set(shift.afterDates);
+  const isRegression = shift.change > 0;
+  const contributions = [];
+
+  for (const [page, pageValues] of Object.entries(pages)) {
+    const values = pageValues[metric][segment];
+    let aboveBefore = 0;
+    let aboveAfter = 0;
+    let count = 0;
+
+    for (let i = 0; i < values.length; i++) {
+      const date = values.dates[i];
+      if (afterDates.has(date)) {
+        count++;
+        if (values[i] > shift.before) {
+          aboveAfter++;
+        }
+      } else if (beforeDates.has(date) && values[i] > shift.before) {
+        aboveBefore++;
+      }
+    }
+
+    const contribution =
+        aboveAfter / shift.afterCount - aboveBefore / shift.beforeCount;
+
+    // Only list pages that moved the percentile in the shift's direction.
+    if (isRegression ? contribution > 0 : contribution < 0) {
+      contributions.push({page, contribution, count});
+    }
+  }
+
+  return contributions
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+      .slice(0, MAX_PAGES);
+}
+
+/**
+ * Detects shifts (i.e. change points) in the daily percentile of each metric
+ * and segment, and the pages that contributed most to each one.
+ * @param {Object} data The data returned by `getWebVitalsData()`.
+ * @param {number} percentile
+ * @return {Array<{
+ *   metric: string,
+ *   segment: string,
+ *   date: string,
+ *   before: number,
+ *   after: number,
+ *   change: number,
+ *   relativeChange: number,
+ *   pages: Array<{page: string, contribution: number, count: number}>,
+ * }>} The shifts, largest (relative) regressions first, then improvements.
+ */
+export function detectShifts(data, percentile) {
+  const shifts = [];
+
+  for (const [metric, {dates: dateValues}] of Object.entries(data.metrics)) {
+    const dates = Object.keys(dateValues).sort();
+    const segmentNames = Object.keys(dateValues[dates[0]] || {});
+
+    for (const segment of segmentNames) {
+      const dayValues = dates.map((date) => dateValues[date][segment]);
+      const candidates = getCandidateShifts(dates, dayValues, percentile)
+          .sort((a, b) => {
+            return Math.abs(b.relativeChange) - Math.abs(a.relativeChange);
+          });
+
+      // Dates near a shift are often also significant (as their windows
+      // include it), so candidates are only kept if their windows don't
+      // include a larger shift.
+      const selected = [];
+      for (const candidate of candidates) {
+        if (selected.length < MAX_SHIFTS && selected.every(({index}) => {
+          return Math.abs(index - candidate.index) >= WINDOW_DAYS;
+        })) {
+          selected.push(candidate);
+        }
+      }
+
+      for (const shift of selected) {
+        shifts.push({
+          metric,
+          segment,
+          date: shift.date,
+          before: shift.before,
+          after: shift.after,
+          change: shift.change,
+          relativeChange: shift.relativeChange,
+          pages: getContributingPages(data.pages, metric, segment, shift),
+        });
+      }
+    }
+  }
+
+  return shifts.sort((a, b) => {
+    return (b.change > 0) - (a.change > 0) ||
+        Math.abs(b.relativeChange) - Math.abs(a.relativeChange);
+  });
+}
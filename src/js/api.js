@@ -14,24 +14,41 @@
  * limitations under the License.
  */
 
-import {openDB} from 'idb';
-import {measureCaughtError} from './analytics.js';
 import {getAccessToken} from './auth.js';
+import {getCacheKeys, getCachedRows, handleDBError, markCacheEntriesUsed, updateCachedData} from './cache.js';
 import {progress} from './Progress.js';
+import {fetchJSONWithRetry} from './retry.js';
 import {get} from './store.js';
-import {dateOffset, Deferred, getDatesInRange, hashObj, mergeSortedArrays, toISODate} from './utils.js';
+import {dateOffset, Deferred, getDatesInRange, hashObj} from './utils.js';
 import {WebVitalsError} from './WebVitalsError.js';
 
 
-const MANAGEMENT_API_URL =
-    'https://www.googleapis.com/analytics/v3/management/';
+const apiURLs = {
+  management: 'https://www.googleapis.com/analytics/v3/management/',
+  reporting: 'https://analyticsreporting.googleapis.com/v4/reports:batchGet',
+  admin: 'https://analyticsadmin.googleapis.com/v1beta/',
+  data: 'https://analyticsdata.googleapis.com/v1beta/',
+};
 
-const REPORTING_API_URL =
-    'https://analyticsreporting.googleapis.com/v4/reports:batchGet';
+/**
+ * Overrides the URLs of the Google Analytics APIs, e.g. to point them at a
+ * local fake endpoint for testing.
+ * @param {{
+ *   management: (string|undefined),
+ *   reporting: (string|undefined),
+ *   admin: (string|undefined),
+ *   data: (string|undefined),
+ * }} urls
+ */
+export function setAPIURLs(urls) {
+  Object.assign(apiURLs, urls);
+}
 
 
 export const PAGE_SIZE = 100000;
 
+export const GA4_PAGE_SIZE = 250000;
+
 const cacheableRows = new WeakSet();
 
 function getAuthHeaders() {
@@ -43,24 +60,57 @@ function getAuthHeaders() {
 async function makeManagementAPIRequest(method) {
   let rows = [];
   let responseJSON;
-  let url = MANAGEMENT_API_URL + method;
+  let url = apiURLs.management + method;
 
   do {
-    const response = await fetch(url, {
+    responseJSON = await fetchJSONWithRetry(url, {
       method: 'GET',
       headers: getAuthHeaders(),
     });
-    responseJSON = await response.json();
     rows = rows.concat(responseJSON.items);
   } while (url = responseJSON.nextLink);
 
   return rows;
 }
 
+async function makeAdminAPIRequest(method, itemsKey) {
+  let items = [];
+  let pageToken;
+
+  do {
+    const url = new URL(apiURLs.admin + method);
+    if (pageToken) {
+      url.searchParams.set('pageToken', pageToken);
+    }
+    const responseJSON = await fetchJSONWithRetry(url, {
+      method: 'GET',
+      headers: getAuthHeaders(),
+    });
+    items = items.concat(responseJSON[itemsKey] || []);
+    pageToken = responseJSON.nextPageToken;
+  } while (pageToken);
+
+  return items;
+}
+
 export function getAccountSummaries() {
   return makeManagementAPIRequest('accountSummaries');
 }
 
+export function getGA4AccountSummaries() {
+  return makeAdminAPIRequest('accountSummaries', 'accountSummaries');
+}
+
+/**
+ * GA4 property IDs are stored in the same state field as Universal Analytics
+ * view IDs, but in their resource name form (e.g. `properties/1234`).
+ * @param {string} viewId
+ * @return {boolean}
+ */
+export function isGA4Property(viewId) {
+  return String(viewId).startsWith('properties/');
+}
+
 let segments;
 const segmentMap = new Map();
 
@@ -82,12 +132,82 @@ export async function getSegments() {
   return segments;
 }
 
+// The Data API doesn't support segments, so for GA4 properties the built-in
+// segments that have a direct GA4 equivalent are emulated with dimension
+// filters. The IDs match the Universal Analytics built-in segment IDs, so
+// the recommended segment pairs work for both property types.
+const GA4_SEGMENTS = {
+  '-1': {name: 'All Users'},
+  '-2': {
+    name: 'New Users',
+    filter: {fieldName: 'newVsReturning', stringFilter: {value: 'new'}},
+  },
+  '-3': {
+    name: 'Returning Users',
+    filter: {fieldName: 'newVsReturning', stringFilter: {value: 'returning'}},
+  },
+  '-5': {
+    name: 'Organic Traffic',
+    filter: {
+      fieldName: 'sessionDefaultChannelGroup',
+      stringFilter: {value: 'Organic Search'},
+    },
+  },
+  '-7': {
+    name: 'Direct Traffic',
+    filter: {
+      fieldName: 'sessionDefaultChannelGroup',
+      stringFilter: {value: 'Direct'},
+    },
+  },
+  '-8': {
+    name: 'Referral Traffic',
+    filter: {
+      fieldName: 'sessionDefaultChannelGroup',
+      stringFilter: {value: 'Referral'},
+    },
+  },
+  '-13': {
+    name: 'Tablet Traffic',
+    filter: {fieldName: 'deviceCategory', stringFilter: {value: 'tablet'}},
+  },
+  '-14': {
+    name: 'Mobile Traffic',
+    filter: {fieldName: 'deviceCategory', stringFilter: {value: 'mobile'}},
+  },
+  '-15': {
+    name: 'Desktop Traffic',
+    filter: {
+      fieldName: 'deviceCategory',
+      inListFilter: {values: ['desktop', 'tablet']},
+    },
+  },
+  '-16': {
+    name: 'Android Traffic',
+    filter: {fieldName: 'operatingSystem', stringFilter: {value: 'Android'}},
+  },
+  '-17': {
+    name: 'iOS Traffic',
+    filter: {fieldName: 'operatingSystem', stringFilter: {value: 'iOS'}},
+  },
+};
+
+export function getGA4Segments() {
+  return Object.entries(GA4_SEGMENTS).map(([id, {name}]) => {
+    return {type: 'BUILT_IN', id, name};
+  });
+}
+
+export function isGA4Segment(id) {
+  return Object.prototype.hasOwnProperty.call(GA4_SEGMENTS, id);
+}
+
 /**
  * Note: must not be used before a call to `getSegments()` finishes.
  * @param {string} id
  */
 export function getSegmentNameById(id) {
-  return segmentMap.get(id);
+  return segmentMap.get(id) || GA4_SEGMENTS[id]?.name;
 }
 
 /**
@@ -126,44 +246,69 @@ class CacheReadError extends Error {
   }
 }
 
-let originalReportRequest;
-let originalStartDate;
-let originalEndDate;
-
-export async function getReport(reportRequest) {
-  originalReportRequest = reportRequest;
-  originalStartDate = reportRequest.dateRanges[0].startDate;
-  originalEndDate = reportRequest.dateRanges[0].endDate;
+/**
+ * Runs the passed callback with a controller for a single attempt at
+ * fetching a report. It's aborted if any of the attempt's requests fail, or
+ * if the passed signal is aborted (i.e. the user cancelled the report). The
+ * controller is only linked to the signal until the attempt settles, so
+ * finished attempts aren't kept alive by the signal.
+ * @param {AbortSignal|undefined} signal
+ * @param {function(AbortController): Promise} callback
+ * @return {Promise}
+ */
+async function withReportController(signal, callback) {
+  const controller = new AbortController();
+  if (!signal) {
+    return await callback(controller);
+  }
 
-  let controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal.aborted) {
+    abort();
+  }
+  signal.addEventListener('abort', abort, {once: true});
+  try {
+    return await callback(controller);
+  } finally {
+    signal.removeEventListener('abort', abort);
+  }
+}
 
+export async function getReport(reportRequest, signal) {
   try {
-    // Sampled responses are never stored in the cached, so for sampled
-    // requests there's no need to check there first.
-    if (reportRequest.samplingLevel !== 'SMALL') {
-      // If any errors are thrown getting
-      try {
-        return await getReportFromCacheAndAPI(reportRequest, controller);
-      } catch (error) {
-        if (error instanceof CacheReadError) {
-          handleDBError(error.originalError);
-        } else {
-          throw error;
+    return await withReportController(signal, async (controller) => {
+      // Sampled responses are never stored in the cached, so for sampled
+      // requests there's no need to check there first.
+      if (reportRequest.samplingLevel !== 'SMALL') {
+        // If any errors are thrown getting
+        try {
+          return await getReportFromCacheAndAPI(reportRequest, controller);
+        } catch (error) {
+          if (error instanceof CacheReadError) {
+            handleDBError(error.originalError);
+          } else {
+            throw error;
+          }
         }
       }
-    }
-    return await getReportFromAPI(reportRequest, controller);
+      return await getReportFromAPI(reportRequest, controller);
+    });
   } catch (error) {
-    if (error instanceof SamplingError) {
-      const sampledReportRequest =
-          JSON.parse(JSON.stringify(originalReportRequest));
+    // Once a report is cancelled, any other errors (e.g. from the aborted
+    // requests) are irrelevant.
+    if (signal && signal.aborted) {
+      throw new WebVitalsError('report_cancelled');
+    }
 
-      // Create a new controller for this new report.
-      controller = new AbortController();
+    if (error instanceof SamplingError) {
+      const sampledReportRequest = JSON.parse(JSON.stringify(reportRequest));
 
       sampledReportRequest.samplingLevel = 'SMALL';
 
-      return await getReportFromAPI(sampledReportRequest, controller);
+      // Use a new controller for this new report.
+      return await withReportController(signal, (controller) => {
+        return getReportFromAPI(sampledReportRequest, controller);
+      });
     } else {
       // Rethrow all errors that are not sampling errors.
       throw error;
@@ -190,47 +335,200 @@ function decrementConcurrentRequests() {
   }
 }
 
-function concurrentRequestsCountLessThanMax() {
+function concurrentRequestsCountLessThanMax(signal) {
   if (concurrentRequests <= MAX_CONCURRENT_REQUESTS) {
     return;
   }
   const deferred = new Deferred();
   pendingRequestDeferreds.push(deferred);
+
+  // If the request is aborted while it's waiting, remove it from the queue
+  // so it doesn't hold on to a slot it will never use. Once it gets a slot
+  // the listener is removed, so it isn't kept alive by the signal.
+  if (signal) {
+    const onAbort = () => {
+      const index = pendingRequestDeferreds.indexOf(deferred);
+      if (index > -1) {
+        pendingRequestDeferreds.splice(index, 1);
+        deferred.reject(new DOMException('Request aborted', 'AbortError'));
+      }
+    };
+    signal.addEventListener('abort', onAbort, {once: true});
+    return deferred.promise.finally(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  }
   return deferred.promise;
 }
 
-export async function makeReportingAPIRequest(reportRequest, signal) {
-  try {
+// Each attempt of a report request holds a concurrent request slot only
+// while it's in flight, so requests waiting to be retried don't block others.
+const requestThrottle = {
+  async acquire(signal) {
     incrementConcurrentRequests();
-    await concurrentRequestsCountLessThanMax();
+    try {
+      await concurrentRequestsCountLessThanMax(signal);
+    } catch (error) {
+      decrementConcurrentRequests();
+      throw error;
+    }
+  },
+  release: decrementConcurrentRequests,
+};
 
-    const response = await fetch(REPORTING_API_URL, {
-      method: 'POST',
-      headers: getAuthHeaders(),
-      body: JSON.stringify({
-        reportRequests: [reportRequest],
-      }),
-      signal,
+export async function makeReportingAPIRequest(reportRequest, signal) {
+  const json = await fetchJSONWithRetry(apiURLs.reporting, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify({
+      reportRequests: [reportRequest],
+    }),
+    signal,
+  }, {}, requestThrottle);
+
+  return json.reports[0];
+}
+
+function makeDataAPIRequest(property, runReportRequest, signal) {
+  return fetchJSONWithRetry(`${apiURLs.data}${property}:runReport`, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(runReportRequest),
+    signal,
+  }, {}, requestThrottle);
+}
+
+/**
+ * Runs a GA4 report (as built by `buildGA4ReportRequest()`) and returns
+ * its rows in the same shape as Reporting API rows, with the segment ID
+ * prepended to the dimensions, so both property types can share the same
+ * processing logic.
+ *
+ * GA4 data is never marked as "golden", so these reports are not cached.
+ * @param {Object} reportRequest
+ * @param {AbortSignal} [signal] Aborting this signal cancels the report.
+ * @return {Promise<{chunks: Array<Array>, meta: Object}>}
+ */
+export async function getGA4Report(reportRequest, signal) {
+  const {property, segments, ...runReportRequest} = reportRequest;
+
+  for (const segmentId of segments) {
+    if (!isGA4Segment(segmentId)) {
+      throw new WebVitalsError(
+          'unsupported_ga4_segment', getSegmentNameById(segmentId));
+    }
+  }
+
+  // Each segment is requested separately, as the segment is applied as an
+  // additional dimension filter.
+  let segmentReports;
+  try {
+    segmentReports = await withReportController(signal, async (controller) => {
+      try {
+        return await Promise.all(segments.map((segmentId) => {
+          const segmentRequest = JSON.parse(JSON.stringify(runReportRequest));
+          const {filter} = GA4_SEGMENTS[segmentId];
+          if (filter) {
+            segmentRequest.dimensionFilter.andGroup.expressions.push({filter});
+          }
+          return getGA4ReportRowsFromAPI(
+              property, segmentRequest, segmentId, controller.signal);
+        }));
+      } catch (error) {
+        // If there is an error, abort all in-progress requests for this
+        // report.
+        controller.abort();
+        throw error;
+      }
     });
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw new WebVitalsError('report_cancelled');
+    }
+    throw error;
+  }
+
+  const chunks = segmentReports.map(({rows}) => rows);
+  const isSampled = segmentReports.some(({isSampled}) => isSampled);
+  const source = sourcesNameMap[sources.NETWORK];
+
+  return {chunks, meta: {source, isSampled}};
+}
+
+async function getGA4ReportRowsFromAPI(
+    property, runReportRequest, segmentId, signal) {
+  progress.total++;
+  const report = await makeDataAPIRequest(property, runReportRequest, signal);
+  progress.cur++;
 
-    const json = await response.json();
-    if (!response.ok) {
-      throw new Error(`${json.error.code}: ${json.error.message}`);
+  const totalRows = report.rowCount || 0;
+  let ga4Rows = report.rows || [];
+
+  // If the response shows a paginated report, fetch the rest in parallel.
+  if (ga4Rows.length < totalRows) {
+    const pageRequests = [];
+    for (let offset = ga4Rows.length; offset < totalRows;
+        offset += GA4_PAGE_SIZE) {
+      pageRequests.push({...runReportRequest, offset});
+    }
+
+    progress.total += pageRequests.length;
+
+    const pageResults = await Promise.all(pageRequests.map((req) => {
+      return makeDataAPIRequest(property, req, signal).then((result) => {
+        progress.cur++;
+        return result;
+      });
+    }));
+
+    for (const page of pageResults) {
+      if (page.rows) {
+        ga4Rows = ga4Rows.concat(page.rows);
+      }
     }
-    return json.reports[0];
-  } finally {
-    decrementConcurrentRequests();
   }
+
+  const samplingMetadata = report.metadata?.samplingMetadatas?.[0];
+  const sampleRate = samplingMetadata &&
+      (samplingMetadata.samplesReadCount / samplingMetadata.samplingSpaceSize);
+
+  const rows = ga4Rows.map(({dimensionValues, metricValues}) => {
+    let value = metricValues[0].value;
+
+    // As with the Reporting API, sampled values are adjusted by the sample
+    // rate, so convert them back to their original values.
+    if (sampleRate) {
+      value = `${Math.round(value * sampleRate)}`;
+    }
+
+    return {
+      dimensions: [segmentId, ...dimensionValues.map((d) => d.value)],
+      metrics: [{values: [value]}],
+    };
+  });
+
+  return {rows, isSampled: Boolean(sampleRate)};
 }
 
 export async function getReportFromAPI(reportRequest, controller) {
-  const rows = await getReportRowsFromAPI(reportRequest, controller);
+  const rows = await getReportRowsFromAPI(
+      reportRequest, controller, reportRequest.dateRanges[0]);
   const isSampled = reportRequest.samplingLevel === 'SMALL';
   const source = sourcesNameMap[sources.NETWORK];
-  return {rows, meta: {source, isSampled}};
+  return {chunks: [rows], meta: {source, isSampled}};
 }
 
-async function getReportRowsFromAPI(reportRequest, controller) {
+/**
+ * Fetches the rows of a report request, splitting it into multiple requests
+ * by date if needed.
+ * @param {Object} reportRequest
+ * @param {AbortController} controller
+ * @param {{startDate: string, endDate: string}} reportDateRange The date
+ *     range of the whole report, which this request may be a part of.
+ * @return {Promise<Array>}
+ */
+async function getReportRowsFromAPI(
+    reportRequest, controller, reportDateRange) {
   let report;
   let rows = [];
 
@@ -255,7 +553,7 @@ async function getReportRowsFromAPI(reportRequest, controller) {
         dateRanges.push({startDate: today, endDate: endDate});
       }
       return await getReportRowsByDatesFromAPI(
-          reportRequest, dateRanges, controller);
+          reportRequest, dateRanges, controller, reportDateRange);
     }
   }
 
@@ -266,11 +564,7 @@ async function getReportRowsFromAPI(reportRequest, controller) {
   } catch (error) {
     // If there is an error, abort all in-progress requests for this report.
     controller.abort();
-
-    // Rethrow the error unless it's an AbortError.
-    if (error.name !== 'AbortError') {
-      throw error;
-    }
+    throw error;
   }
 
   const totalRows = report.data.rowCount;
@@ -296,14 +590,14 @@ async function getReportRowsFromAPI(reportRequest, controller) {
 
     const dateRanges = datesInRange.map((d) => ({startDate: d, endDate: d}));
     return await getReportRowsByDatesFromAPI(
-        reportRequest, dateRanges, controller);
+        reportRequest, dateRanges, controller, reportDateRange);
   }
 
   // If this is a single-day request that's part of a larger report and
   // the results are sampled, throw an error because we can't mixed sample
   // data from one data with sampled data from another day.
   if (isAutoSampled && startDate === endDate &&
-      originalStartDate !== originalEndDate) {
+      reportDateRange.startDate !== reportDateRange.endDate) {
     progress.total -= datesInRange.length;
     controller.abort();
     throw new SamplingError();
@@ -338,7 +632,7 @@ async function getReportRowsFromAPI(reportRequest, controller) {
     progress.total += reportRequests.length;
 
     const pageResults = await Promise.all(reportRequests.map((req) => {
-      return makeReportingAPIRequest(req).then((result) => {
+      return makeReportingAPIRequest(req, controller.signal).then((result) => {
         progress.cur++;
         return result;
       });
@@ -381,98 +675,6 @@ async function getReportRowsFromAPI(reportRequest, controller) {
   return rows;
 }
 
-let dbPromise;
-addEventListener('pageshow', () => dbPromise = getDB());
-addEventListener('pagehide', () => dbPromise.then((db) => db && db.close()));
-
-function getDB() {
-  if (!dbPromise) {
-    dbPromise = openDB('web-vitals-cache', 3, {
-      async upgrade(db, oldVersion, newVersion, transaction) {
-        switch (oldVersion) {
-          case 0:
-            db.createObjectStore('data', {
-              keyPath: ['viewId', 'segmentId', 'optsHash', 'date'],
-            });
-            break;
-          case 1:
-          case 2:
-            // Due to bugs in v1-2, clear all data in the object store
-            // because it could be incorrect in some cases.
-            await transaction.objectStore('data').clear();
-        }
-      },
-      async blocking() {
-        if (dbPromise) {
-          const db = await dbPromise;
-          db.close();
-          dbPromise = null;
-        }
-      },
-    });
-  }
-  return dbPromise;
-}
-
-async function handleDBError(error) {
-  measureCaughtError(error);
-  if (dbPromise) {
-    const db = await dbPromise;
-    await db.clear('data');
-  }
-}
-
-async function getCacheKeys(viewId, segmentId, optsHash, startDate, endDate) {
-  const db = await getDB();
-  const range = IDBKeyRange.bound(
-    [viewId, segmentId, optsHash, startDate],
-    [viewId, segmentId, optsHash, endDate],
-  );
-  return await db.getAllKeys('data', range);
-}
-
-async function updateCachedData(viewId, optsHash, rows) {
-  const dateData = new Map();
-  for (const row of rows) {
-    // Only cache rows from reports with "golden" data.
-    if (!cacheableRows.has(row)) {
-      continue;
-    }
-
-    const [segmentId, date] = row.dimensions;
-
-    let segmentData = dateData.get(date);
-    if (!segmentData) {
-      segmentData = new Map();
-      dateData.set(date, segmentData);
-    }
-
-    let rowData = segmentData.get(segmentId);
-    if (!rowData) {
-      rowData = [];
-      segmentData.set(segmentId, rowData);
-    }
-
-    rowData.push(row);
-  }
-
-  const db = await getDB();
-  for (const [date, segmentData] of dateData) {
-    for (const [segmentId, rows] of segmentData) {
-      // An empty set of rows should never exist, but just in case...
-      if (rows.length) {
-        await db.put('data', {
-          viewId,
-          segmentId,
-          optsHash,
-          date: toISODate(date),
-          json: JSON.stringify(rows),
-        });
-      }
-    }
-  }
-}
-
 const sources = {
   CACHE: 1,
   NETWORK: 2,
@@ -483,9 +685,11 @@ const sourcesNameMap = Object.fromEntries(
     Object.entries(sources).map(([k, v]) => [v, k.toLowerCase()]));
 
 async function getReportFromCacheAndAPI(reportRequest, controller) {
-  const {viewId, segments, dimensions, dimensionFilterClauses} = reportRequest;
+  const {viewId, segments, dimensions, dimensionFilterClauses,
+         metricFilterClauses} = reportRequest;
   const {startDate, endDate} = reportRequest.dateRanges[0];
-  const optsHash = await hashObj({dimensions, dimensionFilterClauses});
+  const optsHash = await hashObj(
+      {dimensions, dimensionFilterClauses, metricFilterClauses});
 
   let foundKeys = [];
   try {
@@ -525,44 +729,49 @@ async function getReportFromCacheAndAPI(reportRequest, controller) {
     missingRanges = perDayMissingRanges;
   }
 
-  const [networkReport, cachedReport] = await Promise.all([
-    getReportRowsByDatesFromAPI(reportRequest, missingRanges, controller),
+  const [networkReport, cachedChunks] = await Promise.all([
+    getReportRowsByDatesFromAPI(reportRequest, missingRanges, controller,
+        reportRequest.dateRanges[0]),
     getCachedData(usableKeys),
   ]);
 
-  const rows = mergeReportRows(cachedReport, networkReport);
+  // Cached chunks are passed along still encoded, so the decoding (along
+  // with merging and sorting) can happen off the main thread.
+  const chunks = [networkReport, ...cachedChunks];
   const source = sourcesNameMap[
       (missingRanges.length ? sources.NETWORK : 0) +
-      (cachedReport.length ? sources.CACHE : 0)];
-
-  // Don't await.
-  updateCachedData(viewId, optsHash, networkReport).catch(handleDBError);
+      (cachedChunks.length ? sources.CACHE : 0)];
+
+  // Never cache data from a cancelled report, as it may be incomplete.
+  if (!controller.signal.aborted) {
+    // Only cache rows from reports with "golden" data. Don't await.
+    updateCachedData(viewId, optsHash,
+        networkReport.filter((row) => cacheableRows.has(row)))
+        .catch(handleDBError);
+  }
 
-  return {rows, meta: {source}};
+  return {chunks, meta: {source}};
 }
 
 async function getCachedData(usableKeys) {
   // Start by populating the report with all available cached data
   // for the segments and dates specified.
-  let cachedReport = [];
-  let didError = false;
-
   try {
     progress.total += usableKeys.length;
-    const db = await getDB();
-    await Promise.all(usableKeys.map((key, i) => {
-      return db.get('data', key).then((value) => {
+    const cachedChunks = await Promise.all(usableKeys.map((key, i) => {
+      return getCachedRows(key).then((rows) => {
         progress.cur++;
-        if (!didError) {
-          cachedReport = mergeReportRows(cachedReport, JSON.parse(value.json));
-        }
+        return rows;
       });
     }));
+
+    // Don't await.
+    markCacheEntriesUsed(usableKeys).catch(handleDBError);
+
+    return cachedChunks;
   } catch (error) {
-    didError = true;
     throw new CacheReadError(error);
   }
-  return cachedReport;
 }
 
 function getMissingRanges(reportRequest, cacheDates = {}) {
@@ -597,17 +806,18 @@ function getMissingRanges(reportRequest, cacheDates = {}) {
 }
 
 async function getReportRowsByDatesFromAPI(
-    reportRequest, dateRanges, controller) {
+    reportRequest, dateRanges, controller, reportDateRange) {
   const rows = await Promise.all(
     dateRanges.map(async (dateRange) => {
       const newReportRequest =
           getReportRequestForDates(reportRequest, dateRange);
 
-      return await getReportRowsFromAPI(newReportRequest, controller);
+      return await getReportRowsFromAPI(
+          newReportRequest, controller, reportDateRange);
     }),
   );
 
-  return rows.reduce((prev, next) => mergeReportRows(prev, next), []);
+  return rows.flat();
 }
 
 function getReportRequestForDates(reportRequest, dateRange) {
@@ -616,10 +826,3 @@ function getReportRequestForDates(reportRequest, dateRange) {
 
   return reportRequestClone;
 }
-
-function mergeReportRows(r1, r2) {
-  // If either of the reportData objects are undefined, return the other.
-  if (!(r1 && r2)) return r1 || r2;
-
-  return mergeSortedArrays(r1, r2, (r) => Number(r.metrics[0].values[0]));
-}
@@ -0,0 +1,135 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {getRating} from './metrics.js';
+import {getMinSamples, p} from './stats.js';
+
+
+/**
+ * The metrics that make up the Core Web Vitals assessment.
+ */
+export const ASSESSMENT_METRICS = ['LCP', 'INP', 'CLS'];
+
+/**
+ * The percentile each metric is assessed at, which is always p75
+ * (regardless of the percentile selected for the report).
+ */
+export const ASSESSMENT_PERCENTILE = 75;
+
+/**
+ * The statuses a page can have, from best to worst.
+ */
+export const ASSESSMENT_STATUSES = ['good', 'ni', 'poor', 'insufficient'];
+
+/**
+ * Returns the assessment of a page's values in a single segment. The page
+ * passes ("good") only if all the metrics are good, otherwise it's rated by
+ * its worst metric. Metrics without enough values to report the percentile
+ * aren't rated, so a page with a poor (or needs improvement) metric is
+ * rated as such even if other metrics are missing, but a page whose rated
+ * metrics are all good can't pass without the others ("insufficient").
+ * @param {Object} pageValues The values of each metric, by segment.
+ * @param {string} segment
+ * @param {Object} thresholds The "good" and "poor" thresholds by metric.
+ * @return {{status: string, values: Object, count: number}}
+ */
+function assessPage(pageValues, segment, thresholds) {
+  const minSamples = getMinSamples(ASSESSMENT_PERCENTILE);
+  const values = {};
+  let status = 'good';
+  let hasMissingMetric = false;
+  let count = 0;
+
+  for (const metric of ASSESSMENT_METRICS) {
+    const metricValues = pageValues[metric][segment] || [];
+
+    // Not every page load reports every metric (e.g. INP requires an
+    // interaction), so the page's traffic is its most reported metric.
+    count = Math.max(count, metricValues.length);
+
+    if (metricValues.length < minSamples) {
+      values[metric] = null;
+      hasMissingMetric = true;
+      continue;
+    }
+    values[metric] = p(ASSESSMENT_PERCENTILE, metricValues);
+
+    const rating = getRating(values[metric], thresholds[metric]);
+    if (ASSESSMENT_STATUSES.indexOf(rating) >
+        ASSESSMENT_STATUSES.indexOf(status)) {
+      status = rating;
+    }
+  }
+  if (hasMissingMetric && status === 'good') {
+    status = 'insufficient';
+  }
+  return {status, values, count};
+}
+
+/**
+ * Assesses each page (or route, if the path rules group them) in each
+ * segment the way Search Console's Core Web Vitals report does (see
+ * `assessPage()`), and summarizes how many pages have each status and
+ * what share of the segment's traffic they get.
+ * @param {Object} pages The `pages` data returned by `getWebVitalsData()`.
+ * @param {Array<string>} segmentNames
+ * @param {Object} thresholds The "good" and "poor" thresholds by metric.
+ * @return {{
+ *   pages: Array<{page: string, count: number, results: Object}>,
+ *   summary: Object,
+ * }} The pages (sorted by traffic, with the result of each segment keyed by
+ *     segment name) and the `pages`, `count`, and `share` of each status,
+ *     keyed by segment name and then status.
+ */
+export function assessPages(pages, segmentNames, thresholds) {
+  const summary = {};
+  for (const segment of segmentNames) {
+    summary[segment] = {};
+    for (const status of ASSESSMENT_STATUSES) {
+      summary[segment][status] = {pages: 0, count: 0, share: 0};
+    }
+  }
+
+  const results = Object.entries(pages).map(([page, pageValues]) => {
+    const result = {page, count: 0, results: {}};
+    for (const segment of segmentNames) {
+      const segmentResult = assessPage(pageValues, segment, thresholds);
+
+      // Pages without any values in a segment aren't counted in it.
+      if (segmentResult.count) {
+        summary[segment][segmentResult.status].pages++;
+        summary[segment][segmentResult.status].count += segmentResult.count;
+      }
+      result.results[segment] = segmentResult;
+      result.count += segmentResult.count;
+    }
+    return result;
+  });
+
+  for (const statuses of Object.values(summary)) {
+    const total = Object.values(statuses)
+        .reduce((total, {count}) => total + count, 0);
+
+    for (const status of Object.values(statuses)) {
+      status.share = total ? status.count / total : 0;
+    }
+  }
+
+  return {
+    pages: results.sort((a, b) => b.count - a.count),
+    summary,
+  };
+}
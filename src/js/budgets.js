@@ -0,0 +1,189 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {getRating} from './metrics.js';
+import {getMinSamples, p} from './stats.js';
+
+
+/**
+ * Returns the value at the passed percentile of the (sorted) values, or
+ * `null` if there aren't enough values to report it.
+ * @param {number} percentile
+ * @param {Array<number>} values
+ * @return {?number}
+ */
+function getPercentileValue(percentile, values) {
+  return values.length >= getMinSamples(percentile) ?
+      p(percentile, values) : null;
+}
+
+/**
+ * Returns whether a value is within budget, using the same rating logic
+ * as the report's scores (with the budget as both the "good" and "poor"
+ * threshold), so values equal to the budget pass.
+ * @param {number} value
+ * @param {number} threshold
+ * @return {boolean}
+ */
+function isWithinBudget(value, threshold) {
+  return getRating(value, [threshold, threshold]) === 'good';
+}
+
+function getMargin(value, threshold) {
+  return {
+    margin: threshold - value,
+    relativeMargin: threshold > 0 ? (threshold - value) / threshold : null,
+  };
+}
+
+/**
+ * Returns the budgets that are complete (i.e. that have a threshold), with
+ * their numeric options converted from the form's string values.
+ * @param {Array<Object>} budgets
+ * @return {Array<{
+ *   metric: string,
+ *   percentile: number,
+ *   threshold: number,
+ *   segment: string,
+ *   pages: string,
+ * }>}
+ */
+export function getValidBudgets(budgets) {
+  return budgets.filter(({threshold}) => {
+    return threshold !== '' && Number.isFinite(Number(threshold));
+  }).map((budget) => {
+    return {
+      metric: budget.metric,
+      percentile: Number(budget.percentile),
+      threshold: Number(budget.threshold),
+      segment: budget.segment,
+      pages: budget.pages.trim(),
+    };
+  });
+}
+
+function getBudgetError(budget, error) {
+  return {budget, error, results: [], offendingPages: []};
+}
+
+/**
+ * Evaluates each budget against the report data, for each segment in the
+ * budget's scope. A budget scoped to pages (by a regular expression matched
+ * against the page paths, or routes if the path rules group them) is
+ * evaluated against the values of all matching pages combined. Each budget
+ * also lists the pages in its scope that are over budget on their own.
+ * Budgets with an invalid page pattern, or scoped to a segment that isn't in
+ * the report, have an error message instead of results.
+ * @param {Object} data The data returned by `getWebVitalsData()`.
+ * @param {Array<Object>} budgets See `getValidBudgets()`.
+ * @param {Array<[string, string]>} segments The ID and name of each segment.
+ * @return {Array<{
+ *   budget: Object,
+ *   error: ?string,
+ *   results: Array<{
+ *     segment: string,
+ *     value: ?number,
+ *     count: number,
+ *     status: string,
+ *     margin: ?number,
+ *     relativeMargin: ?number,
+ *   }>,
+ *   offendingPages: Array<{
+ *     page: string,
+ *     segment: string,
+ *     value: number,
+ *     count: number,
+ *     margin: number,
+ *     relativeMargin: ?number,
+ *   }>,
+ * }>} The results of each budget, where the status of each segment is
+ *     "pass", "fail", or "insufficient" (if there's not enough data).
+ */
+export function evaluateBudgets(data, budgets, segments) {
+  return budgets.map((budget) => {
+    const {metric, percentile, threshold} = budget;
+
+    let pageRegExp = null;
+    if (budget.pages) {
+      try {
+        pageRegExp = new RegExp(budget.pages);
+      } catch (error) {
+        return getBudgetError(budget, `Invalid page pattern: ${error.message}`);
+      }
+    }
+
+    const scopedSegments = segments.filter(([id]) => {
+      return !budget.segment || id === budget.segment;
+    });
+    if (!scopedSegments.length) {
+      return getBudgetError(budget,
+          `The budget's segment (${budget.segment}) isn't in this report`);
+    }
+    const scopedPages = Object.entries(data.pages).filter(([page]) => {
+      return !pageRegExp || pageRegExp.test(page);
+    });
+
+    const results = scopedSegments.map(([, segment]) => {
+      let values = data.metrics[metric].segments[segment] || [];
+      if (pageRegExp) {
+        values = [];
+        for (const [, pageValues] of scopedPages) {
+          values = values.concat(pageValues[metric][segment]);
+        }
+        values.sort((a, b) => a - b);
+      }
+
+      const value = getPercentileValue(percentile, values);
+      if (value === null) {
+        return {
+          segment,
+          value,
+          count: values.length,
+          status: 'insufficient',
+          margin: null,
+          relativeMargin: null,
+        };
+      }
+      return {
+        segment,
+        value,
+        count: values.length,
+        status: isWithinBudget(value, threshold) ? 'pass' : 'fail',
+        ...getMargin(value, threshold),
+      };
+    });
+
+    const offendingPages = [];
+    for (const [page, pageValues] of scopedPages) {
+      for (const [, segment] of scopedSegments) {
+        const values = pageValues[metric][segment];
+        const value = getPercentileValue(percentile, values);
+        if (value !== null && !isWithinBudget(value, threshold)) {
+          offendingPages.push({
+            page,
+            segment,
+            value,
+            count: values.length,
+            ...getMargin(value, threshold),
+          });
+        }
+      }
+    }
+    offendingPages.sort((a, b) => a.margin - b.margin);
+
+    return {budget, error: null, results, offendingPages};
+  });
+}
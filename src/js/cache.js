@@ -0,0 +1,341 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {openDB} from 'idb';
+import {encodeRows, getEncodedSize, validateEncodedRows} from './encoding.js';
+import {get, set} from './store.js';
+import {toISODate} from './utils.js';
+
+
+const DB_NAME = 'web-vitals-cache';
+const DB_VERSION = 5;
+const KEY_PATH = ['viewId', 'segmentId', 'optsHash', 'date'];
+
+export const DEFAULT_CACHE_BUDGET_MB = 100;
+
+let dbPromise;
+let reportDBError = () => {};
+addEventListener('pageshow', () => dbPromise = getDB());
+addEventListener('pagehide', () => dbPromise.then((db) => db && db.close()));
+
+/**
+ * Creates the `entries` object store, which has the same keys as the `data`
+ * store but only holds the metadata for each entry (its size and when it
+ * was last used). This lets the cache be listed and evicted without reading
+ * all the (potentially very large) cached data.
+ * @param {IDBPDatabase} db
+ * @return {IDBPObjectStore}
+ */
+function createEntriesStore(db) {
+  const store = db.createObjectStore('entries', {keyPath: KEY_PATH});
+  store.createIndex('lastAccessed', 'lastAccessed');
+  return store;
+}
+
+function getDB() {
+  if (!dbPromise) {
+    dbPromise = openDB(DB_NAME, DB_VERSION, {
+      async upgrade(db, oldVersion, newVersion, transaction) {
+        switch (oldVersion) {
+          case 0:
+            db.createObjectStore('data', {keyPath: KEY_PATH});
+            createEntriesStore(db);
+            break;
+          case 1:
+          case 2:
+            // Due to bugs in v1-2, clear all data in the object store
+            // because it could be incorrect in some cases.
+            await transaction.objectStore('data').clear();
+            // Falls through.
+          case 3: {
+            // Add entries for existing data. As their last access time is
+            // unknown, they'll be the first to be evicted.
+            const entries = createEntriesStore(db);
+            let cursor = await transaction.objectStore('data').openCursor();
+            while (cursor) {
+              const {json, ...key} = cursor.value;
+              entries.put({...key, size: json.length, lastAccessed: 0});
+              cursor = await cursor.continue();
+            }
+          }
+          // Falls through.
+          case 4: {
+            // v5 replaces the JSON rows with the columnar encoding (see
+            // `encoding.js`), so convert all existing data.
+            const entries = transaction.objectStore('entries');
+            let cursor = await transaction.objectStore('data').openCursor();
+            while (cursor) {
+              const {json, ...key} = cursor.value;
+              const rows = encodeRows(JSON.parse(json));
+              const entry = await entries.get(cursor.primaryKey);
+
+              cursor.update({...key, rows});
+              entries.put({...entry, size: getEncodedSize(rows)});
+              cursor = await cursor.continue();
+            }
+          }
+        }
+      },
+      async blocking() {
+        if (dbPromise) {
+          const db = await dbPromise;
+          db.close();
+          dbPromise = null;
+        }
+      },
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Sets the function called with any errors handled by `handleDBError()`,
+ * e.g. to report them to analytics. This is set by the app (rather than
+ * imported here) to avoid a circular dependency with the analytics module.
+ * @param {function(Error)} reporter
+ */
+export function setDBErrorReporter(reporter) {
+  reportDBError = reporter;
+}
+
+export async function handleDBError(error) {
+  reportDBError(error);
+  if (dbPromise) {
+    const db = await dbPromise;
+    await Promise.all([db.clear('data'), db.clear('entries')]);
+  }
+}
+
+export async function getCacheKeys(
+    viewId, segmentId, optsHash, startDate, endDate) {
+  const db = await getDB();
+  const range = IDBKeyRange.bound(
+    [viewId, segmentId, optsHash, startDate],
+    [viewId, segmentId, optsHash, endDate],
+  );
+  return await db.getAllKeys('data', range);
+}
+
+/**
+ * Returns the cached rows for the passed key, still encoded. They're decoded
+ * in the worker (see `worker.js`), but validated here so a corrupt entry
+ * fails the cache read (and the data is re-fetched) rather than the report.
+ * @param {Array} key
+ * @return {Promise<Object>}
+ */
+export async function getCachedRows(key) {
+  const db = await getDB();
+  const value = await db.get('data', key);
+  validateEncodedRows(value && value.rows);
+  return value.rows;
+}
+
+/**
+ * Updates the last access time of the passed cache keys, so recently used
+ * data is the last to be evicted.
+ * @param {Array} keys
+ */
+export async function markCacheEntriesUsed(keys) {
+  const db = await getDB();
+  const tx = db.transaction('entries', 'readwrite');
+  const lastAccessed = Date.now();
+
+  await Promise.all(keys.map(async (key) => {
+    const entry = await tx.store.get(key);
+    if (entry) {
+      await tx.store.put({...entry, lastAccessed});
+    }
+  }));
+  await tx.done;
+}
+
+/**
+ * Caches the passed rows, grouped into one entry per segment and date, and
+ * then evicts the least recently used entries if the cache is over budget.
+ * @param {string} viewId
+ * @param {string} optsHash
+ * @param {Array} rows Only rows with "golden" data should be passed.
+ */
+export async function updateCachedData(viewId, optsHash, rows) {
+  const dateData = new Map();
+  for (const row of rows) {
+    const [segmentId, date] = row.dimensions;
+
+    let segmentData = dateData.get(date);
+    if (!segmentData) {
+      segmentData = new Map();
+      dateData.set(date, segmentData);
+    }
+
+    let rowData = segmentData.get(segmentId);
+    if (!rowData) {
+      rowData = [];
+      segmentData.set(segmentId, rowData);
+    }
+
+    rowData.push(row);
+  }
+
+  const db = await getDB();
+  const lastAccessed = Date.now();
+  for (const [date, segmentData] of dateData) {
+    for (const [segmentId, rows] of segmentData) {
+      // An empty set of rows should never exist, but just in case...
+      if (rows.length) {
+        const key = {viewId, segmentId, optsHash, date: toISODate(date)};
+        const encodedRows = encodeRows(rows);
+
+        const tx = db.transaction(['data', 'entries'], 'readwrite');
+        tx.objectStore('data').put({...key, rows: encodedRows});
+        tx.objectStore('entries').put({
+          ...key,
+          size: getEncodedSize(encodedRows),
+          lastAccessed,
+        });
+        await tx.done;
+      }
+    }
+  }
+
+  if (dateData.size) {
+    await enforceCacheBudget();
+  }
+}
+
+/**
+ * Deletes all cached data for a view, or (if `optsHash` is passed) only the
+ * data for one set of report options for that view.
+ * @param {{viewId: string, optsHash: (string|undefined)}} selection
+ */
+export async function purgeCachedData({viewId, optsHash}) {
+  const db = await getDB();
+  const tx = db.transaction(['data', 'entries'], 'readwrite');
+  const entries = tx.objectStore('entries');
+
+  // Array keys sort after string keys, so this range matches all keys
+  // starting with the view ID.
+  const range = IDBKeyRange.bound([viewId], [viewId, []]);
+
+  let cursor = await entries.openCursor(range);
+  while (cursor) {
+    if (!optsHash || cursor.value.optsHash === optsHash) {
+      tx.objectStore('data').delete(cursor.primaryKey);
+      cursor.delete();
+    }
+    cursor = await cursor.continue();
+  }
+  await tx.done;
+}
+
+export async function clearCachedData() {
+  const db = await getDB();
+  await Promise.all([db.clear('data'), db.clear('entries')]);
+}
+
+export function getCacheBudget() {
+  const {budgetMB} = get('cache');
+  return budgetMB > 0 ? budgetMB : DEFAULT_CACHE_BUDGET_MB;
+}
+
+export async function setCacheBudget(budgetMB) {
+  set('cache', {budgetMB});
+  await enforceCacheBudget();
+}
+
+/**
+ * Evicts the least recently used entries until the total size of the cache
+ * is within the budget.
+ */
+export async function enforceCacheBudget() {
+  const db = await getDB();
+  const budget = getCacheBudget() * 1e6;
+  const tx = db.transaction(['data', 'entries'], 'readwrite');
+  const entries = tx.objectStore('entries');
+
+  let totalSize = 0;
+  for (const {size} of await entries.getAll()) {
+    totalSize += size;
+  }
+
+  let cursor = await entries.index('lastAccessed').openCursor();
+  while (cursor && totalSize > budget) {
+    totalSize -= cursor.value.size;
+    tx.objectStore('data').delete(cursor.primaryKey);
+    cursor.delete();
+    cursor = await cursor.continue();
+  }
+  await tx.done;
+}
+
+/**
+ * Returns a summary of the cached data, grouped by view and then by report
+ * options (identified by their hash), with the date coverage of each
+ * segment. Sizes are approximate (based on the size of the encoded rows).
+ * @return {Promise<Array<Object>>}
+ */
+export async function getCacheSummary() {
+  const db = await getDB();
+  const views = new Map();
+
+  for (const entry of await db.getAll('entries')) {
+    const {viewId, segmentId, optsHash, date, size, lastAccessed} = entry;
+
+    let view = views.get(viewId);
+    if (!view) {
+      view = {viewId, size: 0, optsSets: new Map()};
+      views.set(viewId, view);
+    }
+    let optsSet = view.optsSets.get(optsHash);
+    if (!optsSet) {
+      optsSet = {optsHash, size: 0, lastAccessed: 0, segments: new Map()};
+      view.optsSets.set(optsHash, optsSet);
+    }
+    let segment = optsSet.segments.get(segmentId);
+    if (!segment) {
+      segment = {segmentId, size: 0, days: 0, startDate: date, endDate: date};
+      optsSet.segments.set(segmentId, segment);
+    }
+
+    // Entries are returned in key order, so dates are ascending.
+    segment.endDate = date;
+    segment.days++;
+    segment.size += size;
+    optsSet.size += size;
+    optsSet.lastAccessed = Math.max(optsSet.lastAccessed, lastAccessed);
+    view.size += size;
+  }
+
+  return [...views.values()].map((view) => ({
+    ...view,
+    optsSets: [...view.optsSets.values()].map((optsSet) => ({
+      ...optsSet,
+      segments: [...optsSet.segments.values()],
+    })),
+  }));
+}
+
+/**
+ * Returns the storage used and available for this origin (which includes
+ * more than just the report cache), if the browser supports it.
+ * @return {Promise<?{usage: number, quota: number}>}
+ */
+export async function getStorageEstimate() {
+  if (!(navigator.storage && navigator.storage.estimate)) {
+    return null;
+  }
+  const {usage, quota} = await navigator.storage.estimate();
+  return {usage, quota};
+}
@@ -16,11 +16,79 @@
 
 /* global Highcharts */
 
-import {e, round} from './utils.js';
+import {getRating, getThresholds, METRICS, THRESHOLDS, TTFB_PARTS} from './metrics.js';
+import {detectShifts} from './anomalies.js';
+import {ASSESSMENT_METRICS, ASSESSMENT_PERCENTILE, ASSESSMENT_STATUSES, assessPages} from './assessment.js';
+import {DISPLAY_PERCENTILES, getConfidenceInterval, getMinSamples, getPooledPercentile, isSignificantDifference, p} from './stats.js';
+import {getExportTableNames, getExportTables, toCSV, toJSON} from './export.js';
+import {downloadFile, e, round} from './utils.js';
+import {createXLSX} from './xlsx.js';
 
 
 const COLORS = ['#aaa', 'hsla(218, 88%, 50%, 0.7)', '#777', '#a7cccc'];
 
+const DASH_STYLES = ['ShortDash', 'ShortDot', 'LongDash', 'DashDot'];
+
+// Set by `renderCharts()` based on the report-wide display options.
+let displayOpts = {
+  percentile: 75,
+  showAllPercentiles: false,
+  showConfidenceIntervals: true,
+  timelineGranularity: 'day',
+  rollingWindowDays: 0,
+};
+
+/**
+ * Returns the percentiles to display, which is either just the selected
+ * percentile or (if the multi-percentile display is on) all display
+ * percentiles plus the selected one.
+ * @return {Array<number>}
+ */
+function getDisplayPercentiles() {
+  const {percentile, showAllPercentiles} = displayOpts;
+  if (!showAllPercentiles) {
+    return [percentile];
+  }
+  return [...new Set([...DISPLAY_PERCENTILES, percentile])]
+      .sort((a, b) => a - b);
+}
+
+// Set by `renderCharts()` to the comparison period data (if any).
+let comparison = null;
+
+// Set by `renderCharts()` based on the per-view threshold options.
+let thresholds = THRESHOLDS;
+
+const BAND_COLORS = {
+  good: 'hsla(150, 92%, 42%, 0.08)',
+  ni: 'hsla(39, 100%, 50%, 0.08)',
+  poor: 'hsla(4, 100%, 63%, 0.08)',
+};
+
+/**
+ * Returns plot bands for the good/NI/poor ranges of a metric, with the
+ * passed function converting metric values to axis values.
+ * @param {string} metric
+ * @param {number} max The axis value to end the "poor" band at.
+ * @param {Function} [toAxisValue]
+ * @return {Array<Object>}
+ */
+function getThresholdBands(metric, max, toAxisValue = (v) => v) {
+  const [good, poor] = thresholds[metric];
+  return [
+    {from: toAxisValue(0), to: toAxisValue(good), color: BAND_COLORS.good},
+    {from: toAxisValue(good), to: toAxisValue(poor), color: BAND_COLORS.ni},
+    {from: toAxisValue(poor), to: max, color: BAND_COLORS.poor},
+  ];
+}
+
+const TTFB_PART_NAMES = {
+  dns: 'DNS lookup',
+  connect: 'Connection',
+  request: 'Request',
+  response: 'Response',
+};
+
 function bucketValues(arrayOfValues, {maxValue, bucketSize = 10} = {}) {
   maxValue = maxValue || arrayOfValues[arrayOfValues.length - 1];
 
@@ -47,6 +115,7 @@ function drawHistogram({
   container,
   metric,
   dimensionValues,
+  comparisonValues,
   bucketSize = 20,
   maxValue = 1000,
 } = {}) {
@@ -58,9 +127,22 @@ function drawHistogram({
     allBuckets.push(bucket);
   }
 
+  // When comparing periods, each period's buckets are shown as a share of
+  // its own values, so differences in traffic between the periods don't
+  // look like changes in the distribution.
+  const getBuckets = (values) => {
+    const buckets = bucketValues(values, {maxValue, bucketSize});
+    if (!comparisonValues || !values.length) {
+      return buckets;
+    }
+    return buckets.map(([bucket, count]) => {
+      return [bucket, round(100 * count / values.length, 2)];
+    });
+  };
+
   const dimensionBuckets = {};
   for (const [dimension, values] of Object.entries(dimensionValues)) {
-    dimensionBuckets[dimension] = bucketValues(values, {maxValue, bucketSize});
+    dimensionBuckets[dimension] = getBuckets(values);
   }
 
   // Sort the dimensions to ensure series order is deterministic (otherwise
@@ -73,6 +155,25 @@ function drawHistogram({
     };
   });
 
+  // Comparison period distributions are drawn as "ghost" lines on top of
+  // the columns for the same segment.
+  if (comparisonValues) {
+    Object.keys(dimensionBuckets).forEach((key, index) => {
+      if (comparisonValues[key]) {
+        series.push({
+          type: 'line',
+          name: `${key} (${comparison.name})`,
+          data: getBuckets(comparisonValues[key]),
+          color: COLORS[index % COLORS.length],
+          dashStyle: 'ShortDot',
+          marker: {enabled: false},
+          opacity: 0.6,
+          pointPlacement: 'between',
+        });
+      }
+    });
+  }
+
   Highcharts.chart(container, {
     title: {text: `${metric} distribution`},
     colors: COLORS,
@@ -80,9 +181,13 @@ function drawHistogram({
       title: {text: 'Time (ms)'},
       categories: allBuckets,
       lineColor: '#9e9e9e',
+      // Columns are placed between ticks, so bucket N spans the axis
+      // values N to N+1, i.e. metric values map to `value / bucketSize`.
+      plotBands: getThresholdBands(
+          metric, allBuckets.length, (v) => v / bucketSize),
     }],
     yAxis: [{
-      title: {text: 'Count'},
+      title: {text: comparisonValues ? 'Share of page loads (%)' : 'Count'},
     }],
     plotOptions: {
       column: {
@@ -97,37 +202,476 @@ function drawHistogram({
   });
 }
 
-function drawTimeline(name, dateValues) {
-  const seriesObj = {};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GRANULARITY_NAMES = {
+  day: 'daily',
+  week: 'weekly',
+  month: 'monthly',
+};
+
+function getTimelineDescription() {
+  const {timelineGranularity, rollingWindowDays} = displayOpts;
+  const description = GRANULARITY_NAMES[timelineGranularity];
+  return rollingWindowDays ?
+      `${description}, rolling ${rollingWindowDays}-day window` : description;
+}
+
+/**
+ * Groups a timeline's dates into the points to plot, based on the selected
+ * granularity. Each point covers the dates in its day, week (starting on
+ * Monday), or month, unless a rolling window is set, in which case it's
+ * plotted at the last date in its bucket and covers the N days up to it.
+ * Rolling windows that start before the first date only cover part of the
+ * N days, so they're flagged as partial.
+ * @param {Array<string>} dates The dates (in YYYYMMDD format).
+ * @return {Array<{
+ *   timestamp: number,
+ *   dates: Array<string>,
+ *   days: (number|undefined),
+ *   isPartial: boolean,
+ * }>}
+ */
+function getTimelineBuckets(dates) {
+  const {timelineGranularity, rollingWindowDays} = displayOpts;
+  const sortedDates = [...dates].sort();
+  const timestamps = sortedDates.map((date) => {
+    return Date.UTC(date.slice(0, 4), date.slice(4, 6) - 1, date.slice(6));
+  });
+  const buckets = new Map();
+
+  sortedDates.forEach((date, i) => {
+    const time = new Date(timestamps[i]);
+    let start = timestamps[i];
+    if (timelineGranularity === 'week') {
+      start -= ((time.getUTCDay() + 6) % 7) * DAY_MS;
+    } else if (timelineGranularity === 'month') {
+      start = Date.UTC(time.getUTCFullYear(), time.getUTCMonth());
+    }
+    if (!buckets.has(start)) {
+      buckets.set(start, {timestamp: start, dates: [], end: start});
+    }
+    const bucket = buckets.get(start);
+    bucket.dates.push(date);
+    bucket.end = timestamps[i];
+  });
+
+  if (!rollingWindowDays) {
+    return [...buckets.values()].map(({timestamp, dates}) => {
+      return {timestamp, dates, isPartial: false};
+    });
+  }
+  return [...buckets.values()].map(({end}) => {
+    const windowStart = end - rollingWindowDays * DAY_MS;
+    const days = Math.round(
+        (end - Math.max(windowStart, timestamps[0] - DAY_MS)) / DAY_MS);
+    return {
+      timestamp: end,
+      dates: sortedDates.filter((date, i) => {
+        return timestamps[i] > windowStart && timestamps[i] <= end;
+      }),
+      days,
+      isPartial: days < rollingWindowDays,
+    };
+  });
+}
+
+/**
+ * Returns the zones that mark the part of a timeline series plotted from
+ * partial rolling windows (see `getTimelineBuckets()`), which are drawn
+ * with the passed options (e.g. a dotted line or a lighter fill).
+ * @param {Array<Object>} buckets
+ * @param {Object} zoneOpts
+ * @return {Array<Object>}
+ */
+function getPartialWindowZones(buckets, zoneOpts) {
+  if (!buckets.some(({isPartial}) => isPartial)) {
+    return [];
+  }
+  const firstFullBucket = buckets.find(({isPartial}) => !isPartial);
+  const value = firstFullBucket ?
+      firstFullBucket.timestamp : Number.MAX_SAFE_INTEGER;
+  return [{value, ...zoneOpts}];
+}
+
+/**
+ * Returns the text added to a timeline point's tooltip, which notes when
+ * the point's rolling window doesn't cover the full N days.
+ * @param {{days: number, isPartial: boolean}} point
+ * @return {string}
+ */
+function getPointNote({days, isPartial}) {
+  return isPartial ? `, partial window: ${days} of ` +
+      `${displayOpts.rollingWindowDays} days` : '';
+}
+
+/**
+ * Returns the percentile (and its confidence interval) of a segment's
+ * values for each timeline bucket, skipping buckets with too few values.
+ * @param {Object} dateValues A metric's `dates` object.
+ * @param {Array<Object>} buckets See `getTimelineBuckets()`.
+ * @param {string} segmentName
+ * @param {number} percentile
+ * @return {Array<Object>}
+ */
+function getTimelinePoints(dateValues, buckets, segmentName, percentile) {
+  const points = [];
+  for (const {timestamp, dates, days, isPartial} of buckets) {
+    const dayValues = dates.map((date) => dateValues[date][segmentName]);
+    const result = getPooledPercentile(dayValues, percentile);
+    if (result) {
+      points.push({timestamp, days, isPartial, ...result});
+    }
+  }
+  return points;
+}
+
+/**
+ * Returns the comparison period timeline series for the selected
+ * percentile, shifted forward so they line up with the report period. The
+ * dates are shifted before they're bucketed, so weekly and monthly buckets
+ * start on the same days as the report period's buckets.
+ * @param {Object} dateValues The comparison metric's `dates` object.
+ * @param {Array<string>} segmentNames
+ * @return {Array<Object>}
+ */
+function getComparisonTimelineSeries(dateValues, segmentNames) {
+  const {percentile} = displayOpts;
+  const offset = Date.parse(comparison.reportStartDate) -
+      Date.parse(comparison.startDate);
 
+  const shiftedDateValues = {};
   for (const [date, values] of Object.entries(dateValues)) {
-    const timestamp = Date.UTC(
-        date.slice(0, 4), date.slice(4, 6) - 1, date.slice(6));
+    const time = offset +
+        Date.UTC(date.slice(0, 4), date.slice(4, 6) - 1, date.slice(6));
+    const shiftedDate = new Date(time).toISOString().slice(0, 10);
+    shiftedDateValues[shiftedDate.replace(/-/g, '')] = values;
+  }
+  const buckets = getTimelineBuckets(Object.keys(shiftedDateValues));
 
-    for (const segmentName of Object.keys(values)) {
-      seriesObj[segmentName] =
-          seriesObj[segmentName] || {name: segmentName, data: []};
+  return segmentNames.map((segmentName, segmentIndex) => {
+    const points = getTimelinePoints(
+        shiftedDateValues, buckets, segmentName, percentile);
 
-      const segmentValues = values[segmentName];
-      if (segmentValues.length > 8) {
-        seriesObj[segmentName].data = seriesObj[segmentName].data || [];
-        seriesObj[segmentName].data.push([timestamp, p(75, segmentValues)]);
+    return {
+      name: `${segmentName} (${comparison.name}, p${percentile})`,
+      color: COLORS[segmentIndex % COLORS.length],
+      dashStyle: 'Dot',
+      opacity: 0.5,
+      data: points.map((point) => {
+        const {timestamp, value, count} = point;
+        const note = getPointNote(point);
+        return {x: timestamp, y: value, count, note};
+      }),
+    };
+  });
+}
+
+/**
+ * Returns the lines marking detected shifts on a timeline.
+ * @param {Array<Object>} shifts See `detectShifts()`.
+ * @return {Array<Object>}
+ */
+function getShiftPlotLines(shifts) {
+  return shifts.map(({date, segment, relativeChange}) => {
+    const isRegression = relativeChange > 0;
+    const change = round(100 * relativeChange, 1);
+    return {
+      value: Date.UTC(date.slice(0, 4), date.slice(4, 6) - 1, date.slice(6)),
+      color: isRegression ? 'hsl(4, 80%, 55%)' : 'hsl(150, 70%, 35%)',
+      dashStyle: 'Dash',
+      width: 2,
+      zIndex: 3,
+      label: {
+        text: `${e(segment)}: ${isRegression ? '+' : ''}${change}%`,
+        style: {fontSize: '11px'},
+      },
+    };
+  });
+}
+
+function drawTimeline(name, dateValues, comparisonDateValues, shifts) {
+  const percentiles = getDisplayPercentiles();
+  const buckets = getTimelineBuckets(Object.keys(dateValues));
+  const segmentNames = Object.keys(Object.values(dateValues)[0] || {});
+  const series = [];
+
+  segmentNames.forEach((segmentName, segmentIndex) => {
+    for (const percentile of percentiles) {
+      const key = `${segmentName}:${percentile}`;
+      const isSelected = percentile === displayOpts.percentile;
+      const dashIndex = percentiles.indexOf(percentile);
+      const points =
+          getTimelinePoints(dateValues, buckets, segmentName, percentile);
+
+      series.push({
+        id: key,
+        name: percentiles.length > 1 ?
+            `${segmentName} (p${percentile})` : segmentName,
+        color: COLORS[segmentIndex % COLORS.length],
+        dashStyle: isSelected ?
+            'Solid' : DASH_STYLES[dashIndex % DASH_STYLES.length],
+        zoneAxis: 'x',
+        zones: getPartialWindowZones(buckets, {dashStyle: 'Dot'}),
+        data: points.map((point) => {
+          const {timestamp, value, count} = point;
+          return {x: timestamp, y: value, count, note: getPointNote(point)};
+        }),
+      });
+
+      // Confidence intervals are only shown as bands around the
+      // selected percentile, as the chart would get too busy otherwise.
+      if (isSelected && displayOpts.showConfidenceIntervals) {
+        series.push({
+          type: 'arearange',
+          name: `${series[series.length - 1].name} (95% CI)`,
+          linkedTo: key,
+          color: COLORS[segmentIndex % COLORS.length],
+          fillOpacity: 0.2,
+          lineWidth: 0,
+          marker: {enabled: false},
+          zIndex: -1,
+          tooltip: {
+            pointFormat: '<span style="color:{point.color}">\u25CF</span> ' +
+                '{series.name}: <b>{point.low}</b> - <b>{point.high}</b><br/>',
+          },
+          data: points.map(({timestamp, interval, count}) => {
+            return {x: timestamp, low: interval[0], high: interval[1], count};
+          }),
+        });
       }
     }
+  });
+
+  if (comparisonDateValues) {
+    series.push(
+        ...getComparisonTimelineSeries(comparisonDateValues, segmentNames));
   }
 
   Highcharts.chart(`timeline-${name}`, {
     chart: {type: 'spline'},
     colors: COLORS,
-    title: {text: `${name} over time (p75)`},
-    xAxis: {type: 'datetime'},
-    yAxis: {min: 0},
-    series: [...Object.values(seriesObj)],
+    title: {
+      text: `${name} over time (${[
+        ...percentiles.map((p) => `p${p}`),
+        getTimelineDescription(),
+      ].join(', ')})`,
+    },
+    tooltip: {
+      pointFormat: '<span style="color:{point.color}">\u25CF</span> ' +
+          '{series.name}: <b>{point.y}</b> ' +
+          '({point.count} samples{point.note})<br/>',
+    },
+    xAxis: {
+      type: 'datetime',
+      plotLines: getShiftPlotLines(shifts),
+    },
+    yAxis: {
+      min: 0,
+      plotBands: getThresholdBands(name, Number.MAX_SAFE_INTEGER),
+    },
+    series,
+  });
+}
+
+const RATINGS = ['good', 'ni', 'poor'];
+
+const RATING_NAMES = {
+  good: 'Good',
+  ni: 'Needs improvement',
+  poor: 'Poor',
+};
+
+const RATING_COLORS = {
+  good: 'hsla(150, 92%, 42%, 0.8)',
+  ni: 'hsla(39, 100%, 50%, 0.8)',
+  poor: 'hsla(4, 100%, 63%, 0.8)',
+};
+
+// Used for the parts of the distribution timelines from partial windows.
+const PARTIAL_RATING_COLORS = {
+  good: 'hsla(150, 92%, 42%, 0.35)',
+  ni: 'hsla(39, 100%, 50%, 0.35)',
+  poor: 'hsla(4, 100%, 63%, 0.35)',
+};
+
+/**
+ * Returns the number of values with each rating, based on the same
+ * thresholds used to score the percentile values.
+ * @param {string} metric
+ * @param {Array<Array<number>>} arrayOfValues
+ * @return {{good: number, ni: number, poor: number}}
+ */
+function getRatingCounts(metric, arrayOfValues) {
+  const counts = {good: 0, ni: 0, poor: 0};
+  for (const values of arrayOfValues) {
+    for (const value of values) {
+      counts[score(metric, value)]++;
+    }
+  }
+  return counts;
+}
+
+function renderDistributionLegend(metric) {
+  const [good, poor] = thresholds[metric].map((threshold) => {
+    return formatMetricValue(metric, threshold);
+  });
+  const ranges = {
+    good: `\u2264 ${good}`,
+    ni: `${good} - ${poor}`,
+    poor: `> ${poor}`,
+  };
+
+  return `
+    <ul class="Report-distributionLegend">
+      ${RATINGS.map((rating) => `
+        <li>
+          <span class="Report-distributionSwatch Score--${rating}"></span>
+          ${RATING_NAMES[rating]} (${ranges[rating]})
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+function drawDistribution(metric, segments) {
+  const $el = document.getElementById(`distribution-${metric}`);
+
+  $el.innerHTML = Object.entries(segments).map(([name, values]) => {
+    const counts = getRatingCounts(metric, [values]);
+    return `
+      <div class="Report-distributionRow">
+        <span class="Report-distributionName">${e(name)}</span>
+        <div class="Report-distributionBar">
+          ${values.length ? RATINGS.map((rating) => {
+            const share = counts[rating] / values.length;
+            if (!share) {
+              return '';
+            }
+            // Labels are only shown on parts wide enough to fit them.
+            return `
+              <span class="Report-distributionPart Score--${rating}"
+                    style="width: ${100 * share}%"
+                    title="${RATING_NAMES[rating]}: ${
+                      counts[rating]} of ${values.length} page loads">
+                ${share >= 0.05 ? `${round(100 * share, 0)}%` : ''}
+              </span>
+            `;
+          }).join('') : `
+            <span class="Report-distributionEmpty">No data</span>
+          `}
+        </div>
+      </div>
+    `;
+  }).join('') + renderDistributionLegend(metric);
+}
+
+function drawDistributionTimeline(metric, dateValues) {
+  const $el = document.getElementById(`distributionTimeline-${metric}`);
+  const buckets = getTimelineBuckets(Object.keys(dateValues));
+  const segmentNames = Object.keys(Object.values(dateValues)[0] || {});
+
+  // Each segment gets its own chart, as stacked areas can't be overlaid.
+  $el.innerHTML = segmentNames.map((segmentName, segmentIndex) => `
+    <div id="distributionTimeline-${metric}-${segmentIndex}"
+         class="Report-distributionChart"></div>
+  `).join('');
+
+  segmentNames.forEach((segmentName, segmentIndex) => {
+    const series = RATINGS.map((rating) => {
+      return {
+        name: RATING_NAMES[rating],
+        color: RATING_COLORS[rating],
+        zoneAxis: 'x',
+        zones: getPartialWindowZones(buckets, {
+          fillColor: PARTIAL_RATING_COLORS[rating],
+        }),
+      };
+    });
+    const data = RATINGS.map(() => []);
+
+    for (const bucket of buckets) {
+      const {timestamp, dates} = bucket;
+      const counts = getRatingCounts(
+          metric, dates.map((date) => dateValues[date][segmentName]));
+
+      // Skip buckets without values, as they have no shares to stack.
+      if (counts.good + counts.ni + counts.poor > 0) {
+        RATINGS.forEach((rating, i) => {
+          const note = getPointNote(bucket);
+          data[i].push({x: timestamp, y: counts[rating], note});
+        });
+      }
+    }
+
+    Highcharts.chart(`distributionTimeline-${metric}-${segmentIndex}`, {
+      chart: {type: 'area'},
+      title: {
+        text: `${segmentName} (${getTimelineDescription()})`,
+        style: {fontSize: '14px'},
+      },
+      xAxis: {type: 'datetime'},
+      yAxis: {
+        max: 100,
+        title: {text: 'Share of page loads'},
+        labels: {format: '{value}%'},
+      },
+      plotOptions: {
+        area: {
+          stacking: 'percent',
+          lineWidth: 0,
+          marker: {enabled: false},
+        },
+      },
+      tooltip: {
+        shared: true,
+        pointFormat: '<span style="color:{point.color}">\u25CF</span> ' +
+            '{series.name}: <b>{point.percentage:.1f}%</b> ' +
+            '({point.y} samples{point.note})<br/>',
+      },
+      series: series.map((s, i) => ({...s, data: data[i]})),
+    });
+  });
+}
+
+function drawTTFBWaterfall(parts) {
+  const $el = document.getElementById('waterfall-TTFB');
+  if (!parts) {
+    $el.hidden = true;
+    return;
+  }
+  $el.hidden = false;
+
+  const segmentNames = Object.keys(parts);
+
+  // Each sub-part is stacked in order (left to right), so each segment's bar
+  // shows where time is spent before and while the document is received.
+  // Note: the response part occurs after the first byte, so it's not part
+  // of the TTFB value itself.
+  const series = TTFB_PARTS.map((part) => {
+    return {
+      name: TTFB_PART_NAMES[part],
+      data: segmentNames.map((segmentName) => {
+        const result = pValue(parts[segmentName][part]);
+        return typeof result === 'number' ? result : null;
+      }),
+    };
+  });
+
+  Highcharts.chart($el, {
+    chart: {type: 'bar'},
+    title: {text: `TTFB sub-parts (p${displayOpts.percentile})`},
+    xAxis: {categories: segmentNames},
+    yAxis: {min: 0, title: {text: 'Time (ms)'}, reversedStacks: false},
+    plotOptions: {
+      bar: {stacking: 'normal'},
+    },
+    series,
   });
 }
 
 function drawWarnings(isSampled) {
-  document.getElementById('report-warnings').innerHTML = isSampled ? `
+  let html = isSampled ? `
     <aside class="Report-sampleWarning">
       <strong><i>⚠️</i> Warning:</strong>
       This report is based on a sample of the full user base.
@@ -137,57 +681,689 @@ function drawWarnings(isSampled) {
       </a>
     </aside>
   ` : ``;
+
+  if (comparison && !comparison.data) {
+    html += `
+      <aside class="Report-sampleWarning">
+        <strong><i>⚠️</i> Warning:</strong>
+        No Web Vitals events were found for the comparison period
+        (${comparison.startDate} to ${comparison.endDate}).
+      </aside>
+    `;
+  }
+  document.getElementById('report-warnings').innerHTML = html;
+}
+
+function formatMetricValue(metric, value) {
+  return metric === 'CLS' ? round(value, 3) : Math.round(value);
+}
+
+function renderBudgetMargin(metric, result) {
+  if (result.margin === null) {
+    return '-';
+  }
+  const margin = formatMetricValue(metric, Math.abs(result.margin));
+  const relativeMargin = result.relativeMargin === null ? '' :
+      ` (${round(100 * Math.abs(result.relativeMargin), 1)}%)`;
+
+  return `${margin}${relativeMargin} ${result.margin < 0 ? 'over' : 'under'}`;
+}
+
+const BUDGET_STATUSES = {
+  pass: ['good', 'Pass'],
+  fail: ['poor', 'Fail'],
+  insufficient: ['unknown', 'Not enough data'],
+};
+
+function formatDate(date) {
+  return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}`;
+}
+
+// Lists every shift marked on the timelines, regressions first (see
+// `detectShifts()`), labelled by their direction.
+function drawRegressions(shifts) {
+  const {percentile} = displayOpts;
+
+  document.getElementById('regressions').innerHTML = `
+    <header>
+      <h3 class="Report-breakdownHeading">Regressions and improvements</h3>
+      <div class="Report-breakdownMeta">
+        Significant shifts in the daily p${percentile}
+      </div>
+    </header>
+
+    ${shifts.length ? `<div class="Table">
+      <table>
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th class="Table-segment">Segment</th>
+            <th>Date</th>
+            <th>Shift</th>
+            <th class="Table-value">Change</th>
+            <th>Top contributing pages</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${shifts.map((shift) => {
+            const isRegression = shift.change > 0;
+            const sign = isRegression ? '+' : '';
+            return `
+              <tr>
+                <td><b>${shift.metric}</b></td>
+                <td class="Table-segment">${e(shift.segment)}</td>
+                <td>${formatDate(shift.date)}</td>
+                <td>${isRegression ? 'Regression' : 'Improvement'}</td>
+                <td class="Table-value">
+                  ${formatMetricValue(shift.metric, shift.before)} →
+                  ${formatMetricValue(shift.metric, shift.after)}
+                  <div class="Score Score--${isRegression ? 'poor' : 'good'}">
+                    ${sign}${round(100 * shift.relativeChange, 1)}%
+                  </div>
+                </td>
+                <td>
+                  <ol class="Report-contributingPages">
+                    ${shift.pages.map(({page, contribution}) => `
+                      <li>
+                        ${e(page)}
+                        <em title="Change in the share of page visits above
+                            the p${percentile} before the shift"
+                        >(${sign}${round(100 * contribution, 1)} pts)</em>
+                      </li>
+                    `).join('')}
+                  </ol>
+                </td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>` : `
+      <p class="Report-regressionsNote">No shifts detected.</p>
+    `}
+  `;
 }
 
-function drawSummary(metric, segments) {
+// The maximum number of pages listed in the Core Web Vitals assessment.
+const ASSESSMENT_PAGE_LIMIT = 20;
+
+const ASSESSMENT_LABELS = {
+  good: 'Passed',
+  ni: 'Needs improvement',
+  poor: 'Failed',
+  insufficient: 'Not enough data',
+};
+
+function renderAssessmentStatus({status, values}) {
+  const title = ASSESSMENT_METRICS.map((metric) => {
+    const value = values[metric];
+    return `${metric}: ${
+      value === null ? '-' : formatMetricValue(metric, value)}`;
+  }).join(', ');
+
+  const rating = status === 'insufficient' ? 'unknown' : status;
+  return `<div class="Score Score--${rating}" title="${title}">${
+    ASSESSMENT_LABELS[status]}</div>`;
+}
+
+function drawAssessment(pages) {
+  const segmentNames =
+      Object.keys(Object.values(pages)[0]?.[ASSESSMENT_METRICS[0]] || {});
+  const {pages: results, summary} =
+      assessPages(pages, segmentNames, thresholds);
+
+  document.getElementById('assessment').innerHTML = `
+    <header>
+      <h3 class="Report-breakdownHeading">Core Web Vitals assessment</h3>
+      <div class="Report-breakdownMeta">
+        Pages pass if ${ASSESSMENT_METRICS.join(', ')} are all good at
+        p${ASSESSMENT_PERCENTILE}
+        (with at least ${getMinSamples(ASSESSMENT_PERCENTILE)} values each)
+      </div>
+    </header>
+
+    <div class="Table">
+      <table>
+        <thead>
+          <tr>
+            <th class="Table-segment">Segment</th>
+            ${ASSESSMENT_STATUSES.map((status) => `
+              <th class="Table-value">${ASSESSMENT_LABELS[status]}</th>
+            `).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${segmentNames.map((segment) => `
+            <tr>
+              <td class="Table-segment">${e(segment)}</td>
+              ${ASSESSMENT_STATUSES.map((status) => {
+                const {pages, share} = summary[segment][status];
+                return `
+                  <td class="Table-value">
+                    ${pages} ${pages === 1 ? 'page' : 'pages'}
+                    <div class="Report-assessmentShare">
+                      ${round(100 * share, 1)}% of traffic
+                    </div>
+                  </td>
+                `;
+              }).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    ${results.length ? `<div class="Table">
+      <table>
+        <thead>
+          <tr>
+            <th class="Table-dimension">
+              Page
+              ${results.length > ASSESSMENT_PAGE_LIMIT ? `
+                (top ${ASSESSMENT_PAGE_LIMIT} of ${results.length})
+              ` : ''}
+            </th>
+            ${segmentNames.map((segment) => `
+              <th class="Table-metric">${e(segment)}</th>
+            `).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${results.slice(0, ASSESSMENT_PAGE_LIMIT).map((result) => `
+            <tr>
+              <td class="Table-dimension">${e(result.page)}</td>
+              ${segmentNames.map((segment) => `
+                <td>${renderAssessmentStatus(result.results[segment])}</td>
+              `).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>` : ''}
+  `;
+}
+
+function drawBudgets(budgetReport) {
+  const $budgets = document.getElementById('budgets');
+  if (!budgetReport || !budgetReport.budgets.length) {
+    $budgets.innerHTML = '';
+    return;
+  }
+
+  const {budgets} = budgetReport;
+  const results = budgets.flatMap((budget) => budget.results);
+  const passCount = results.filter(({status}) => status === 'pass').length;
+
+  $budgets.innerHTML = `
+    <header>
+      <h3 class="Report-breakdownHeading">Budgets</h3>
+      <div class="Report-breakdownMeta">
+        ${passCount} of ${results.length} passing
+      </div>
+      <button class="Report-exportButton" data-export="budgets">
+        Export JSON
+      </button>
+    </header>
+
+    <div class="Table">
+      <table>
+        <thead>
+          <tr>
+            <th>Budget</th>
+            <th>Pages</th>
+            <th class="Table-segment">Segment</th>
+            <th class="Table-value">Value</th>
+            <th class="Table-value">Margin</th>
+            <th class="Table-metric">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${budgets.map(({budget, error, results, offendingPages}) => {
+            const {metric, percentile, threshold} = budget;
+            const rowCount = Math.max(results.length, 1) +
+                (offendingPages.length ? 1 : 0);
+
+            const budgetCells = `
+              <td rowspan="${rowCount}">
+                <b>${metric}</b> p${percentile} ≤
+                ${formatMetricValue(metric, threshold)}
+              </td>
+              <td rowspan="${rowCount}">
+                ${budget.pages ? `<code>${e(budget.pages)}</code>` : 'All'}
+              </td>
+            `;
+
+            // The budget cells span the result rows, so a budget without
+            // any results gets a row of its own.
+            if (error || !results.length) {
+              return `<tr>
+                ${budgetCells}
+                <td colspan="4">
+                  ${e(error || 'No segments in this report to evaluate')}
+                </td>
+              </tr>`;
+            }
+
+            return results.map((result, i) => {
+              const [rating, label] = BUDGET_STATUSES[result.status];
+              return `<tr>
+                ${i === 0 ? budgetCells : ''}
+                <td class="Table-segment">${e(result.segment)}</td>
+                <td class="Table-value">
+                  ${result.value === null ?
+                      '-' : formatMetricValue(metric, result.value)}
+                </td>
+                <td class="Table-value">
+                  ${renderBudgetMargin(metric, result)}
+                </td>
+                <td>
+                  <div class="Score Score--${rating}">${label}</div>
+                </td>
+              </tr>`;
+            }).join('') + (offendingPages.length ? `<tr>
+              <td colspan="4">
+                <details class="Report-offendingPages">
+                  <summary>
+                    ${offendingPages.length} page/segment
+                    ${offendingPages.length === 1 ? 'result' : 'results'}
+                    over budget
+                  </summary>
+                  <ol>
+                    ${offendingPages.slice(0, 20).map((page) => `
+                      <li>
+                        ${e(page.page)} <em>(${e(page.segment)})</em>:
+                        ${formatMetricValue(metric, page.value)},
+                        ${renderBudgetMargin(metric, page)}
+                        <em>(${page.count} page visits)</em>
+                      </li>
+                    `).join('')}
+                  </ol>
+                  ${offendingPages.length > 20 ? `<p>
+                    The full list is included in the JSON export.
+                  </p>` : ''}
+                </details>
+              </td>
+            </tr>` : '');
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  $budgets.onclick = ({target}) => {
+    if (target.closest('[data-export="budgets"]')) {
+      const {startDate, endDate} = budgetReport;
+      downloadFile(`web-vitals-budgets_${startDate}_${endDate}.json`,
+          JSON.stringify(budgetReport, null, 2), 'application/json');
+    }
+  };
+}
+
+const EXPORT_FORMATS = {
+  csv: {label: 'CSV', type: 'text/csv', serialize: toCSV},
+  json: {label: 'JSON', type: 'application/json', serialize: toJSON},
+  xlsx: {
+    label: 'XLSX',
+    type: 'application/' +
+        'vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    serialize: createXLSX,
+  },
+};
+
+function drawExportMenu(data) {
+  const $export = document.getElementById('export');
+  const tableNames = getExportTableNames(data);
+
+  $export.innerHTML = `
+    <label class="Report-exportLabel" for="export-table">Export</label>
+    <select id="export-table" class="Report-exportSelect">
+      <option value="">All tables</option>
+      ${tableNames.map((name) => `
+        <option value="${e(name)}">${e(name)}</option>
+      `).join('')}
+    </select>
+    ${Object.entries(EXPORT_FORMATS).map(([format, {label}]) => `
+      <button class="Report-exportButton" data-export="${format}">
+        ${label}
+      </button>
+    `).join('')}
+  `;
+
+  $export.onclick = ({target}) => {
+    const $button = target.closest('[data-export]');
+    if (!$button) {
+      return;
+    }
+    const {label, type, serialize} = EXPORT_FORMATS[$button.dataset.export];
+    const tableName = document.getElementById('export-table').value;
+
+    // Tables are only generated when exported, as the full breakdowns can
+    // be much larger than what's rendered.
+    let tables = getExportTables(data, getDisplayPercentiles());
+    if (tableName) {
+      tables = tables.filter(({name}) => name === tableName);
+    }
+
+    const dates = [...new Set(Object.values(data.metrics).flatMap((metric) => {
+      return Object.keys(metric.dates);
+    }))].sort();
+    const filename = [
+      'web-vitals-report',
+      ...(tableName ? [tableName.toLowerCase().replace(/\W+/g, '-')] : []),
+      formatDate(dates[0]),
+      formatDate(dates[dates.length - 1]),
+    ].join('_');
+
+    downloadFile(`${filename}.${label.toLowerCase()}`,
+        serialize(tables), type);
+  };
+}
+
+function renderDelta(metric, values, comparisonValues, percentile) {
+  const result = pValue(values, percentile);
+  const comparisonResult = pValue(comparisonValues, percentile);
+  if (result === '-' || comparisonResult === '-') {
+    return '';
+  }
+
+  const delta = round(result - comparisonResult, metric === 'CLS' ? 3 : 0);
+  const percentChange = comparisonResult ?
+      round(100 * delta / comparisonResult, 1) : 0;
+  const sign = delta > 0 ? '+' : '';
+
+  // Lower values are better for all metrics.
+  const direction = delta < 0 ? 'better' : delta > 0 ? 'worse' : 'same';
+
+  return `<small class="Report-delta Report-delta--${direction}"
+    title="Compared to ${e(comparison.name)} (${comparison.startDate} to ${
+      comparison.endDate})">${sign}${delta} (${sign}${percentChange}%)</small>`;
+}
+
+function renderConfidenceInterval(values, percentile) {
+  if (displayOpts.showConfidenceIntervals &&
+      values && values.length >= getMinSamples(percentile)) {
+    const [lower, upper] = getConfidenceInterval(percentile, values);
+    return `<small class="Score-ci" title="95% confidence interval">${
+      lower}–${upper}</small>`;
+  }
+  return '';
+}
+
+function renderSegmentComparisons(segments) {
+  const {percentile, showConfidenceIntervals} = displayOpts;
+  if (!showConfidenceIntervals) {
+    return '';
+  }
+
+  const entries = Object.entries(segments).filter(([, values]) => {
+    return values.length >= getMinSamples(percentile);
+  });
+
+  const items = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const [nameA, valuesA] = entries[i];
+      const [nameB, valuesB] = entries[j];
+      const isSignificant =
+          isSignificantDifference(percentile, valuesA, valuesB);
+
+      items.push(`
+        <li class="Report-comparison${
+          isSignificant ? ' Report-comparison--significant' : ''}">
+          ${e(nameA)} vs. ${e(nameB)}:
+          ${isSignificant ? 'significant' : 'no significant'} difference
+          at p${percentile}
+        </li>
+      `);
+    }
+  }
+  return items.length ?
+      `<ul class="Report-comparisons">${items.join('')}</ul>` : '';
+}
+
+function drawSummary(metric, segments, comparisonSegments) {
   const $el = document.getElementById(`summary-${metric}`);
+  const percentiles = getDisplayPercentiles();
   let html = ``;
 
   for (const [name, values] of Object.entries(segments)) {
-    const result = p75(values);
-
     html += `
     <span class="Report-metricSummaryItem">
       ${e(name)}
-      <span class="Score Score--alt Score--${score(metric, result)}">${
-        result
-      }</span>
+      ${percentiles.map((percentile) => {
+        const result = pValue(values, percentile);
+        const label = percentiles.length > 1 ?
+            `<small class="Score-label">p${percentile}</small> ` : '';
+
+        return `
+          <span class="Score Score--alt Score--${score(metric, result)}">${
+            label}${result}${
+            renderConfidenceInterval(values, percentile)}</span>${
+          comparisonSegments ? renderDelta(
+              metric, values, comparisonSegments[name], percentile) : ''}`;
+      }).join('')}
     </span>
   `;
   }
 
-  $el.innerHTML = html;
+  $el.innerHTML = html + renderSegmentComparisons(segments);
 }
 
-function drawTable(id, dimensionName, dimensionData) {
-  const metricNames = Object.keys(dimensionData[0][1]);
-  const segmentNames = Object.keys(dimensionData[0][1][metricNames[0]]);
+/**
+ * Draws the "no data" state for a metric without any values (e.g. FCP and
+ * TTFB, if the site doesn't send them), and clears any charts from a
+ * previous report, as they can't be sized without values.
+ * @param {string} metric
+ */
+function drawEmptyMetric(metric) {
+  document.getElementById(`summary-${metric}`).innerHTML = `
+    <span class="Report-distributionEmpty">No data</span>
+  `;
+  for (const id of ['distribution', 'histogram', 'timeline',
+    'distributionTimeline']) {
+    document.getElementById(`${id}-${metric}`).innerHTML = '';
+  }
+}
+
+// The number of rows shown on each page of a breakdown table.
+const TABLE_PAGE_SIZE = 10;
+
+// The sort, search, filter, and pagination state of each breakdown table, by
+// dimension, so it's kept when the report is re-rendered (e.g. when the
+// percentile is changed).
+const tableStates = new Map();
+
+function getTableState(dimension) {
+  if (!tableStates.has(dimension)) {
+    tableStates.set(dimension, {
+      sortBy: 'count',
+      sortDesc: true,
+      search: '',
+      isRegExp: false,
+      poorOnly: false,
+      page: 0,
+    });
+  }
+  return tableStates.get(dimension);
+}
+
+/**
+ * Returns a function that tests whether a dimension value matches the
+ * search text, which is either a case-insensitive substring or (if
+ * `isRegExp` is true) a regular expression. Throws if the regular
+ * expression is invalid.
+ * @param {string} search
+ * @param {boolean} isRegExp
+ * @return {function(string): boolean}
+ */
+function getSearchMatcher(search, isRegExp) {
+  if (isRegExp) {
+    const regExp = new RegExp(search, 'i');
+    return (dimension) => regExp.test(dimension);
+  }
+  const text = search.toLowerCase();
+  return (dimension) => dimension.toLowerCase().includes(text);
+}
+
+function isPoor(values) {
+  return Object.entries(values).some(([metric, segments]) => {
+    return Object.values(segments).some((segmentValues) => {
+      return score(metric, pValue(segmentValues)) === 'poor';
+    });
+  });
+}
+
+/**
+ * Returns the rows of a breakdown table that match the search text and the
+ * "show only poor" filter, in sorted order.
+ * @param {Array<[string, Object]>} dimensionData
+ * @param {Object<string, number>} counts The count of each dimension value.
+ * @param {Object} tableState
+ * @param {string} baselineSegment The segment metric values are sorted by.
+ * @return {{rows: Array<[string, Object, number]>, searchError: ?Error}}
+ */
+function getTableRows(dimensionData, counts, tableState, baselineSegment) {
+  const {sortBy, sortDesc, search, isRegExp, poorOnly} = tableState;
+
+  let matches = () => true;
+  let searchError = null;
+  if (search) {
+    try {
+      matches = getSearchMatcher(search, isRegExp);
+    } catch (error) {
+      searchError = error;
+    }
+  }
+
+  const rows = [];
+  for (const [dimension, values] of dimensionData) {
+    if (matches(dimension) && (!poorOnly || isPoor(values))) {
+      rows.push([dimension, values, counts[dimension]]);
+    }
+  }
+
+  const direction = sortDesc ? -1 : 1;
+  const getSortValue = ([dimension, values, count]) => {
+    if (sortBy === 'count') {
+      return count;
+    }
+    if (sortBy === 'dimension') {
+      return dimension;
+    }
+    const result = pValue(values[sortBy][baselineSegment]);
+    return result === '-' ? null : result;
+  };
+
+  const sortValues = new Map(rows.map((row) => [row, getSortValue(row)]));
+  rows.sort((a, b) => {
+    const valueA = sortValues.get(a);
+    const valueB = sortValues.get(b);
+
+    // Rows with insufficient data are always listed last.
+    if (valueA === null || valueB === null) {
+      return (valueA === null) - (valueB === null) || b[2] - a[2];
+    }
+    if (sortBy === 'dimension') {
+      return direction * valueA.localeCompare(valueB);
+    }
+    return direction * (valueA - valueB) || b[2] - a[2];
+  });
+
+  return {rows, searchError};
+}
+
+function renderDrillDownButton(value, debugIndex, text = value, values) {
+  return `<button class="Table-drillDown" data-drill-down="${e(value)}"
+      ${debugIndex === undefined ? '' : `data-debug-index="${debugIndex}"`}
+      ${values ? `data-drill-down-values="${e(JSON.stringify(values))}"` : ''}
+      title="Show the report for only ${e(value)}">${e(text)}</button>`;
+}
+
+/**
+ * Dispatches a `drilldown` event (handled in `main.js`) to re-run the report
+ * filtered to a single dimension value, or (if `values` is set) to any of
+ * the values it's displayed as.
+ * @param {Element} target
+ * @param {{
+ *   dimension: string,
+ *   label: string,
+ *   value: string,
+ *   values: (Array<string>|undefined),
+ * }} detail
+ */
+function dispatchDrillDown(target, detail) {
+  target.dispatchEvent(new CustomEvent('drilldown', {bubbles: true, detail}));
+}
+
+function renderSortButton(label, sortBy, tableState) {
+  const isSorted = tableState.sortBy === sortBy;
+  const arrow = isSorted ? (tableState.sortDesc ? ' ▼' : ' ▲') : '';
+  return `<button class="Table-sort${isSorted ? ' isSorted' : ''}"
+      data-sort="${e(sortBy)}">${e(label)}${arrow}</button>`;
+}
+
+function drawTable(id, dimensionName, rows, names, comparisonData,
+    tableState) {
+  const {metricNames, segmentNames} = names;
 
   document.getElementById(id).innerHTML = `
     <thead>
       <tr>
-        <th class="Table-dimension">${e(dimensionName)}</th>
+        <th class="Table-dimension">
+          ${renderSortButton(dimensionName, 'dimension', tableState)}
+        </th>
+        <th class="Table-value">
+          ${renderSortButton('Count', 'count', tableState)}
+        </th>
         <th class="Table-segment">Segment</th>
         ${metricNames.map((metric) => {
-          return `<th class="Table-metric">${e(metric)}</th>`;
+          return `<th class="Table-metric">
+            ${renderSortButton(metric, metric, tableState)}
+          </th>`;
         }).join('')}
       </tr>
     </thead>
     <tbody>
-      ${dimensionData.slice(0, 5).map(([dimension, values]) => {
+      ${rows.length === 0 ? `<tr>
+        <td class="Table-empty" colspan="${metricNames.length + 3}">
+          No matching results
+        </td>
+      </tr>` : ''}
+      ${rows.map(([dimension, values, count]) => {
         return segmentNames.map((segment, i) => `<tr>
           ${i === 0
             ? '<td class="Table-dimension"' +
-              ` rowspan="${segmentNames.length}">${e(dimension)}</td>`
+              ` rowspan="${segmentNames.length}">` +
+              renderDrillDownButton(dimension) + '</td>' +
+              '<td class="Table-value"' +
+              ` rowspan="${segmentNames.length}">${count}</td>`
             : ''}
           <td class="Table-segment">${e(segment)}</td>
           ${metricNames.map((metric) => {
-            const result = p75(values[metric][segment]);
+            const segmentValues = values[metric][segment];
+            const result = pValue(segmentValues);
+
+            // Mark values that differ significantly from the first segment.
+            const baselineValues = values[metric][segmentNames[0]];
+            const isSignificant = i > 0 &&
+                displayOpts.showConfidenceIntervals &&
+                result !== '-' && pValue(baselineValues) !== '-' &&
+                isSignificantDifference(
+                    displayOpts.percentile, baselineValues, segmentValues);
+
             return `
               <td>
                 <div class="Score Score--${score(metric, result)}">
-                  ${result}
+                  ${result}${isSignificant ? `<sup class="Score-significant"
+                    title="Significantly different from ${e(segmentNames[0])}"
+                  >*</sup>` : ''}
+                  ${renderConfidenceInterval(
+                      segmentValues, displayOpts.percentile)}
                 </div>
+                ${comparisonData && comparisonData[dimension] ? renderDelta(
+                    metric, segmentValues,
+                    comparisonData[dimension][metric][segment],
+                    displayOpts.percentile) : ''}
               </td>
             `;
           }).join('')}
@@ -197,9 +1373,546 @@ function drawTable(id, dimensionName, dimensionData) {
   `;
 }
 
-function drawDebugInfo(pages) {
+function drawBreakdownTable(index, breakdown, comparisonBreakdown) {
+  const {dimension, label, values, counts} = breakdown;
+  const tableState = getTableState(dimension);
+  const dimensionData = Object.entries(values);
+
+  const metricNames = Object.keys(dimensionData[0][1]);
+  const segmentNames = Object.keys(dimensionData[0][1][metricNames[0]]);
+
+  const {rows, searchError} =
+      getTableRows(dimensionData, counts, tableState, segmentNames[0]);
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / TABLE_PAGE_SIZE));
+  tableState.page = Math.min(tableState.page, pageCount - 1);
+  const start = tableState.page * TABLE_PAGE_SIZE;
+  const pageRows = rows.slice(start, start + TABLE_PAGE_SIZE);
+
+  drawTable(`breakdown-${index}`, label, pageRows,
+      {metricNames, segmentNames},
+      comparisonBreakdown && comparisonBreakdown.values, tableState);
+
+  const $table = document.getElementById(`breakdown-table-${index}`);
+  $table.querySelector('.Table-searchError').textContent =
+      searchError ? 'Invalid regular expression' : '';
+
+  $table.querySelector('.Table-pagination').innerHTML = rows.length ? `
+    <span>
+      Showing ${start + 1}–${start + pageRows.length} of ${rows.length}
+      ${rows.length < dimensionData.length ?
+          `(filtered from ${dimensionData.length})` : ''}
+    </span>
+    <button class="Table-pageButton" data-page="${tableState.page - 1}"
+        ${tableState.page === 0 ? 'disabled' : ''}>Previous</button>
+    <button class="Table-pageButton" data-page="${tableState.page + 1}"
+        ${tableState.page === pageCount - 1 ? 'disabled' : ''}>Next</button>
+  ` : '';
+}
+
+function drawBreakdowns(breakdowns, comparisonBreakdowns) {
+  // Dimensions with no values (e.g. ones not set for any events) are skipped.
+  const visibleBreakdowns = breakdowns.filter(({values}) => {
+    return Object.keys(values).length > 0;
+  });
+
+  const labels = visibleBreakdowns.map(({label}) => label);
+  document.getElementById('breakdown-meta').textContent = labels.length ?
+      `By ${new Intl.ListFormat('en').format(labels)}` :
+      'No breakdowns available';
+
+  const $container = document.getElementById('breakdowns');
+  $container.innerHTML = visibleBreakdowns.map(({dimension, label}, i) => {
+    const tableState = getTableState(dimension);
+    return `
+      <div class="Table" id="breakdown-table-${i}" data-index="${i}">
+        <div class="Table-controls">
+          <input class="Table-search" type="search" data-control="search"
+              placeholder="Search ${e(label)}" value="${e(tableState.search)}">
+          <label>
+            <input type="checkbox" data-control="isRegExp"
+                ${tableState.isRegExp ? 'checked' : ''}>
+            Regular expression
+          </label>
+          <label>
+            <input type="checkbox" data-control="poorOnly"
+                ${tableState.poorOnly ? 'checked' : ''}>
+            Show only poor
+          </label>
+          <span class="Table-searchError"></span>
+        </div>
+        <table id="breakdown-${i}"></table>
+        <div class="Table-pagination"></div>
+      </div>
+    `;
+  }).join('');
+
+  const getComparison = ({dimension}) => {
+    return comparisonBreakdowns &&
+        comparisonBreakdowns.find((b) => b.dimension === dimension);
+  };
+
+  const redraw = (target, update) => {
+    const $table = target.closest('.Table');
+    const index = Number($table.dataset.index);
+    const breakdown = visibleBreakdowns[index];
+    update(getTableState(breakdown.dimension));
+    drawBreakdownTable(index, breakdown, getComparison(breakdown));
+  };
+
+  // The controls are only rendered once per report, so only the table and
+  // pagination are redrawn (keeping focus in the search field as it's typed).
+  $container.oninput = ({target}) => {
+    const {control} = target.dataset;
+    if (control) {
+      redraw(target, (tableState) => {
+        tableState[control] =
+            target.type === 'checkbox' ? target.checked : target.value;
+        tableState.page = 0;
+      });
+    }
+  };
+
+  $container.onclick = ({target}) => {
+    const $button = target.closest('button');
+    if ($button && $button.dataset.sort) {
+      redraw($button, (tableState) => {
+        const {sort} = $button.dataset;
+        if (tableState.sortBy === sort) {
+          tableState.sortDesc = !tableState.sortDesc;
+        } else {
+          // Values are listed alphabetically, and counts and metrics
+          // largest (i.e. worst) first.
+          tableState.sortBy = sort;
+          tableState.sortDesc = sort !== 'dimension';
+        }
+        tableState.page = 0;
+      });
+    } else if ($button && $button.dataset.page) {
+      redraw($button, (tableState) => {
+        tableState.page = Number($button.dataset.page);
+      });
+    } else if ($button && $button.dataset.drillDown !== undefined) {
+      const $table = $button.closest('.Table');
+      const {dimension, label} =
+          visibleBreakdowns[Number($table.dataset.index)];
+
+      dispatchDrillDown($button,
+          {dimension, label, value: $button.dataset.drillDown});
+    }
+  };
+
+  visibleBreakdowns.forEach((breakdown, i) => {
+    drawBreakdownTable(i, breakdown, getComparison(breakdown));
+  });
+}
+
+// The debug dimensions (by index) used for the rows and (for cross-tabs) the
+// columns of the debug info tables. A column index of -1 shows just the top
+// values of the row dimension, either as a list or as a tree of selectors.
+const debugView = {rows: 0, columns: -1, tree: false};
+
+/**
+ * Groups a page's debug values by the values of some of its debug
+ * dimensions. The debug values are keyed by the JSON-encoded list of all
+ * debug dimension values for the page load.
+ * @param {Object<string, Array<number>>} debug
+ * @param {Array<number>} indexes The debug dimensions to group by.
+ * @return {Array<[Array<string>, Array<number>]>} The dimension values and
+ *     the (sorted) metric values for each group, largest group first.
+ */
+function groupDebugValues(debug, indexes) {
+  const groups = new Map();
+  for (const [key, values] of Object.entries(debug)) {
+    const debugValues = JSON.parse(key);
+    const groupValues = indexes.map((index) => debugValues[index]);
+    const groupKey = JSON.stringify(groupValues);
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, [groupValues, []]);
+    }
+    const groupMetricValues = groups.get(groupKey)[1];
+    for (const value of values) {
+      groupMetricValues.push(value);
+    }
+  }
+
+  for (const [, values] of groups.values()) {
+    values.sort((a, b) => a - b);
+  }
+  return [...groups.values()].sort((a, b) => b[1].length - a[1].length);
+}
+
+/**
+ * Splits grouped debug values into the top groups (at most `limit` groups
+ * with at least 2% of the page loads) and the values of all other groups.
+ * @param {Array<[Array<string>, Array<number>]>} groups
+ * @param {number} count The total number of page loads.
+ * @param {number} limit
+ * @return {{topGroups: Array, otherValues: Array<number>}}
+ */
+function getTopDebugGroups(groups, count, limit) {
+  const topGroups = [];
+  let otherValues = [];
+
+  for (let i = 0; i < groups.length; i++) {
+    const [groupValues, values] = groups[i];
+    if (i < limit && values.length / count >= 0.02) {
+      topGroups.push([groupValues[0], values]);
+    } else {
+      otherValues = otherValues.concat(values);
+    }
+  }
+  otherValues = otherValues.sort((a, b) => a - b);
+
+  return {topGroups, otherValues};
+}
+
+function renderDebugScore(metric, values) {
+  return `
+    <div class="Score Score--${score(metric, pValue(values))}">
+      ${pValue(values)}
+    </div>
+  `;
+}
+
+function renderTopDebugValues(metric, segment, segmentValues, debugDim) {
+  const count = segmentValues.length;
+  const {topGroups, otherValues} = getTopDebugGroups(
+      groupDebugValues(segmentValues.debug, [debugView.rows]), count, 5);
+
+  const totalRows = topGroups.length + Math.min(1, otherValues.length);
+
+  return `
+    <tr>
+      <th class="Table-debugMetricHeader">${metric}</th>
+      <th>${e(debugDim.label)}</th>
+      <th class="Table-value">% of page visits</th>
+      <th class="Table-value">Count</th>
+      <th class="Table-metric">${metric}</th>
+    </tr>
+
+    ${topGroups.map(([id, values], index) => `
+      <tr>
+        ${index === 0 ? `<td class="Table-debugSegment"
+          rowspan="${totalRows}">
+          <div class="Table-debugSpacer">${e(segment)}</div>
+        </td>` : ``}
+        <td>${renderDrillDownButton(id, debugView.rows)}</td>
+        <td class="Table-value">
+          ${round(100 * values.length / count, 2)}%
+        </td>
+        <td class="Table-value">${values.length}</td>
+        <td>${renderDebugScore(metric, values)}</td>
+      </tr>
+    `).join('')}
+    ${otherValues.length ? `
+      <tr>
+        <td><em>(other)</em></td>
+        <td class="Table-value">
+          ${round(100 * otherValues.length / count, 2)}%
+        </td>
+        <td class="Table-value">${otherValues.length}</td>
+        <td>${renderDebugScore(metric, otherValues)}</td>
+      </tr>
+    `: ''}
+  `;
+}
+
+// The expanded nodes in the debug info selector trees, keyed by their page,
+// metric, segment, and selector (see `getSelectorNodeKey()`).
+const expandedSelectors = new Set();
+
+function getSelectorNodeKey(path, metric, segment, selector) {
+  return JSON.stringify([path, metric, segment, selector]);
+}
+
+function createSelectorNode(selector, name) {
+  return {selector, name, targets: new Set(), values: [], children: new Map()};
+}
+
+/**
+ * Splits a CSS selector on its top-level child combinators (`>`), ignoring
+ * any within attribute selectors, functional pseudo-classes (e.g.
+ * `:not(a>b)`), or quoted strings.
+ * @param {string} selector
+ * @return {Array<string>} The trimmed compound selectors.
+ */
+function splitSelector(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (char === '\\') {
+      i++;
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === '>' && depth === 0) {
+      parts.push(selector.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(selector.slice(start).trim());
+  return parts;
+}
+
+/**
+ * Builds a tree of CSS selectors (e.g. `html>body>div.card>img`) from
+ * grouped debug values, where each node is a selector path (split on the
+ * top-level `>` combinators) with the values of all the targets within it.
+ * Targets that only differ in their whitespace (e.g. `a > b` and `a>b`)
+ * share a node, which keeps all of them so drill-downs match either. Chains
+ * of nodes with a single child and no values of their own (e.g.
+ * `html>body`) are merged into one node.
+ * @param {Array<[Array<string>, Array<number>]>} groups
+ * @return {Array<Object>} The top-level nodes, largest first.
+ */
+function buildSelectorTree(groups) {
+  const root = createSelectorNode('', '');
+  for (const [[target], values] of groups) {
+    const parts = splitSelector(target);
+
+    let node = root;
+    parts.forEach((part, i) => {
+      if (!node.children.has(part)) {
+        const selector = parts.slice(0, i + 1).join('>');
+        node.children.set(part, createSelectorNode(selector, part));
+      }
+      node = node.children.get(part);
+      for (const value of values) {
+        node.values.push(value);
+      }
+    });
+    node.targets.add(target);
+  }
+
+  const getChildNodes = (node) => {
+    return [...node.children.values()].map((child) => {
+      while (child.children.size === 1 && child.targets.size === 0) {
+        const [grandchild] = child.children.values();
+        grandchild.name = `${child.name}>${grandchild.name}`;
+        child = grandchild;
+      }
+      child.values.sort((a, b) => a - b);
+      child.childNodes = getChildNodes(child);
+      return child;
+    }).sort((a, b) => b.values.length - a.values.length);
+  };
+  return getChildNodes(root);
+}
+
+function renderSelectorTreeNode(node) {
+  if (node.targets.size > 1) {
+    return renderDrillDownButton(
+        node.selector, debugView.rows, node.name, [...node.targets]);
+  }
+  if (node.targets.size === 1) {
+    const [target] = node.targets;
+    return renderDrillDownButton(target, debugView.rows, node.name);
+  }
+  return e(node.name);
+}
+
+function renderSelectorTreeRows(nodes, treeOpts, depth = 0) {
+  const {path, metric, segment, count} = treeOpts;
+  return nodes.map((node) => {
+    const key = getSelectorNodeKey(path, metric, segment, node.selector);
+    const isExpanded = expandedSelectors.has(key);
+    const row = `
+      <td class="Table-treeNode" style="padding-left: ${depth * 1.5 + 0.6}em">
+        ${node.childNodes.length ? `<button class="Table-treeToggle"
+            data-key="${e(key)}"
+            aria-expanded="${isExpanded}"
+            title="${isExpanded ? 'Collapse' : 'Expand'}"
+          >${isExpanded ? '▾' : '▸'}</button>` : ''}
+        ${renderSelectorTreeNode(node)}
+        ${node.childNodes.length ?
+            `<span class="Table-treeChildren">
+              (${node.childNodes.length})
+            </span>` : ''}
+      </td>
+      <td class="Table-value">
+        ${round(100 * node.values.length / count, 2)}%
+      </td>
+      <td class="Table-value">${node.values.length}</td>
+      <td>${renderDebugScore(metric, node.values)}</td>
+    `;
+    return [
+      row,
+      ...(isExpanded ? renderSelectorTreeRows(
+          node.childNodes, treeOpts, depth + 1) : []),
+    ];
+  }).flat();
+}
+
+function renderSelectorTree(path, metric, segment, segmentValues, debugDim) {
+  const count = segmentValues.length;
+  const nodes = buildSelectorTree(
+      groupDebugValues(segmentValues.debug, [debugView.rows]));
+  const rows = renderSelectorTreeRows(
+      nodes, {path, metric, segment, count});
+
+  return `
+    <tr>
+      <th class="Table-debugMetricHeader">${metric}</th>
+      <th>${e(debugDim.label)}</th>
+      <th class="Table-value">% of page visits</th>
+      <th class="Table-value">Count</th>
+      <th class="Table-metric">${metric}</th>
+    </tr>
+    ${rows.map((row, index) => `
+      <tr>
+        ${index === 0 ? `<td class="Table-debugSegment"
+          rowspan="${rows.length}">
+          <div class="Table-debugSpacer">${e(segment)}</div>
+        </td>` : ``}
+        ${row}
+      </tr>
+    `).join('')}
+  `;
+}
+
+function renderDebugCrossTab(metric, segment, segmentValues, debugDims) {
+  const {rows: rowIndex, columns: columnIndex} = debugView;
+  const count = segmentValues.length;
+  const {debug} = segmentValues;
+
+  const rows = getTopDebugGroups(
+      groupDebugValues(debug, [rowIndex]), count, 5);
+  const columns = getTopDebugGroups(
+      groupDebugValues(debug, [columnIndex]), count, 4);
+
+  // Values not in the top rows or columns are grouped as "(other)", which
+  // is represented by `null`.
+  const rowValues = rows.topGroups.map(([value]) => value);
+  const columnValues = columns.topGroups.map(([value]) => value);
+  if (rows.otherValues.length) {
+    rowValues.push(null);
+  }
+  if (columns.otherValues.length) {
+    columnValues.push(null);
+  }
+
+  const cells = new Map();
+  for (const [[rowValue, columnValue], values] of
+      groupDebugValues(debug, [rowIndex, columnIndex])) {
+    const key = JSON.stringify([
+      rowValues.includes(rowValue) ? rowValue : null,
+      columnValues.includes(columnValue) ? columnValue : null,
+    ]);
+    cells.set(key, (cells.get(key) || []).concat(values));
+  }
+
+  const renderValue = (value, index) => value === null ?
+      '<em>(other)</em>' : renderDrillDownButton(value, index);
+
+  return `
+    <tr>
+      <th class="Table-debugMetricHeader">${metric}</th>
+      <th colspan="${columnValues.length + 1}">
+        ${e(debugDims[rowIndex].label)} by ${e(debugDims[columnIndex].label)}
+      </th>
+    </tr>
+    <tr>
+      <td class="Table-debugSegment" rowspan="${rowValues.length + 1}">
+        <div class="Table-debugSpacer">${e(segment)}</div>
+      </td>
+      <th></th>
+      ${columnValues.map((value) => `
+        <th class="Table-metric">${renderValue(value, columnIndex)}</th>
+      `).join('')}
+    </tr>
+    ${rowValues.map((rowValue) => `
+      <tr>
+        <td>${renderValue(rowValue, rowIndex)}</td>
+        ${columnValues.map((columnValue) => {
+          const values = (cells.get(JSON.stringify([rowValue, columnValue])) ||
+              []).sort((a, b) => a - b);
+
+          return `<td>
+            ${values.length ? `
+              ${renderDebugScore(metric, values)}
+              <div class="Table-debugCount">${values.length}</div>
+            ` : ''}
+          </td>`;
+        }).join('')}
+      </tr>
+    `).join('')}
+  `;
+}
+
+function drawDebugInfo(pages, debugDims) {
   const pageEntries = [...Object.entries(pages)].slice(0, 5);
-  document.getElementById('debug').innerHTML = `
+  const $debug = document.getElementById('debug');
+
+  // Reset the view if the debug dimensions changed since it was selected.
+  if (debugView.rows >= debugDims.length ||
+      debugView.columns >= debugDims.length ||
+      debugView.rows === debugView.columns) {
+    debugView.rows = 0;
+    debugView.columns = -1;
+  }
+  const isCrossTab = debugView.columns > -1;
+
+  $debug.onclick = ({target}) => {
+    const $toggle = target.closest('.Table-treeToggle');
+    if ($toggle) {
+      const {key} = $toggle.dataset;
+      if (expandedSelectors.has(key)) {
+        expandedSelectors.delete(key);
+      } else {
+        expandedSelectors.add(key);
+      }
+      drawDebugInfo(pages, debugDims);
+      return;
+    }
+
+    const $button = target.closest('.Table-drillDown');
+    if ($button) {
+      const {dimension, label} =
+          debugDims[Number($button.dataset.debugIndex)];
+      const {drillDown: value, drillDownValues} = $button.dataset;
+
+      dispatchDrillDown($button, {
+        dimension,
+        label,
+        value,
+        values: drillDownValues ? JSON.parse(drillDownValues) : undefined,
+      });
+    }
+  };
+
+  $debug.onchange = ({target}) => {
+    const {debugView: key} = target.dataset;
+    if (key) {
+      debugView[key] =
+          target.type === 'checkbox' ? target.checked : Number(target.value);
+      if (debugView.rows === debugView.columns) {
+        debugView.columns = -1;
+      }
+      drawDebugInfo(pages, debugDims);
+    }
+  };
+
+  const renderDebugDimOpts = (selectedIndex, excludedIndex) => {
+    return debugDims.map(({label}, index) => index === excludedIndex ? '' : `
+      <option value="${index}" ${index === selectedIndex ? 'selected' : ''}>
+        ${e(label)}
+      </option>
+    `).join('');
+  };
+
+  $debug.innerHTML = `
     <header>
       <h3>
         <h3 class="Report-breakdownHeading">Debug Info</h3>
@@ -207,10 +1920,35 @@ function drawDebugInfo(pages) {
       </h3>
     </header>
 
+    <div class="Table-controls">
+      ${debugDims.length > 1 ? `
+        <label>
+          Group by
+          <select data-debug-view="rows">
+            ${renderDebugDimOpts(debugView.rows)}
+          </select>
+        </label>
+        <label>
+          Split by
+          <select data-debug-view="columns">
+            <option value="-1">(none)</option>
+            ${renderDebugDimOpts(debugView.columns, debugView.rows)}
+          </select>
+        </label>
+      ` : ''}
+      ${isCrossTab ? '' : `
+        <label title="Group CSS selectors by their shared ancestors">
+          <input type="checkbox" data-debug-view="tree"
+              ${debugView.tree ? 'checked' : ''}>
+          Show as selector tree
+        </label>
+      `}
+    </div>
+
     ${pageEntries.length > 1 ? `<nav class="DebugNav">
       <ul>
         ${pageEntries.map(([path]) => `
-          <li><a href="#${path}">${path}</a></li>
+          <li><a href="#${e(path)}">${e(path)}</a></li>
         `).join('')}
       </ul>
     </nav>` : ''}
@@ -222,78 +1960,24 @@ function drawDebugInfo(pages) {
           <th class="Table-debugHeader">
             <div class="Table-debugSpacer"><strong>URL Path</strong></div>
           </th>
-          <th class="Table-debugHeader" colspan="4" id="${path}">${path}</th>
+          <th class="Table-debugHeader" colspan="${isCrossTab ? 6 : 4}"
+              id="${e(path)}">${e(path)}</th>
         </tr>
-        ${['LCP', 'FID', 'CLS', 'INP'].map((metric) => `
+        ${METRICS.map((metric) => `
           ${Object.keys(page[metric]).map((segment) => {
-            let debugEntries = page[metric][segment].debug;
-            if (debugEntries) {
-              debugEntries = [...Object.entries(debugEntries)]
-                  .sort((a, b) => b[1].length - a[1].length);
-
-              const importantEntries = [];
-              let otherValues = [];
-              const count = page[metric][segment].length;
-
-              for (let i = 0; i < debugEntries.length; i++) {
-                const [id, values] = debugEntries[i];
-                if (i < 5 && values.length / count >= 0.02) {
-                  importantEntries.push([id, values]);
-                } else {
-                  otherValues = otherValues.concat(values);
-                }
-              }
-              otherValues = otherValues.sort((a, b) => a - b);
-
-              const totalRows =
-                  importantEntries.length + Math.min(1, otherValues.length);
-
-              return `
-                <tr>
-                  <th class="Table-debugMetricHeader">${metric}</th>
-                  <th>Top debug identifiers</th>
-                  <th class="Table-value">% of page visits</th>
-                  <th class="Table-value">Count</th>
-                  <th class="Table-metric">${metric}</th>
-                </tr>
-
-                ${importantEntries.map(([id, values], index) => `
-                  <tr>
-                    ${index === 0 ? `<td class="Table-debugSegment"
-                      rowspan="${totalRows}">
-                      <div class="Table-debugSpacer">${segment}</div>
-                    </td>` : ``}
-                    <td>${id}</td>
-                    <td class="Table-value">
-                      ${round(100 * values.length / count, 2)}%
-                    </td>
-                    <td class="Table-value">${values.length}</td>
-                    <td>
-                      <div class="Score Score--${score(metric, p75(values))}">
-                        ${p75(values)}
-                      </div>
-                    </td>
-                  </tr>
-                `).join('')}
-                ${otherValues.length ? `
-                  <tr>
-                    <td><em>(other)</em></td>
-                    <td class="Table-value">
-                      ${round(100 * otherValues.length / count, 2)}%
-                    </td>
-                    <td class="Table-value">${otherValues.length}</td>
-                    <td>
-                      <div class="Score Score--${
-                        score(metric, p75(otherValues))}">
-                        ${p75(otherValues)}
-                      </div>
-                    </td>
-                  </tr>
-                `: ''}
-              `;
-            } else {
+            const segmentValues = page[metric][segment];
+            if (!segmentValues.debug) {
               return '';
             }
+            const debugDim = debugDims[debugView.rows];
+            if (isCrossTab) {
+              return renderDebugCrossTab(
+                  metric, segment, segmentValues, debugDims);
+            }
+            return debugView.tree ?
+                renderSelectorTree(
+                    path, metric, segment, segmentValues, debugDim) :
+                renderTopDebugValues(metric, segment, segmentValues, debugDim);
           }).join('')}
       `).join('')}
       </table>
@@ -302,42 +1986,55 @@ function drawDebugInfo(pages) {
   `;
 }
 
-function score(metric, p75) {
-  const thresholds = {
-    LCP: [2500, 4000],
-    FID: [100, 300],
-    CLS: [0.1, 0.25],
-    INP: [200, 500],
-  };
-  if (p75 <= thresholds[metric][0]) {
-    return 'good';
-  }
-  if (p75 <= thresholds[metric][1]) {
-    return 'ni';
-  }
-  if (p75 > thresholds[metric][1]) {
-    return 'poor';
-  }
-  return 'unknown';
+function score(metric, value) {
+  return getRating(value, thresholds[metric]);
 }
 
-function p(percentile, values) {
-  return values[Math.floor((values.length) * (percentile / 100))];
+function pValue(values, percentile = displayOpts.percentile) {
+  if (values && values.length >= getMinSamples(percentile)) {
+    return p(percentile, values);
+  }
+  return '-'; // Insufficient data
 }
 
-function p75(values) {
-  if (values && values.length > 8) {
-    return p(75, values);
+function drawPercentileLabels() {
+  const label = `(${getDisplayPercentiles().map((p) => `p${p}`).join(', ')})`;
+  for (const $el of document.querySelectorAll('.Report-percentileLabel')) {
+    $el.textContent = label;
   }
-  return '-'; // Insufficient data
 }
 
-export function renderCharts(report, reportOpts) {
+export function renderCharts(report, reportOpts, reportDisplayOpts) {
   const {data, meta} = report;
 
+  displayOpts = {...displayOpts, ...reportDisplayOpts};
+  comparison = report.comparison || null;
+  thresholds = getThresholds(reportOpts.thresholds);
+
+  // Only draw comparison data if the comparison period had any data.
+  const comparisonData = comparison && comparison.data;
+
+  drawPercentileLabels();
+
   drawWarnings(meta.isSampled);
 
+  drawExportMenu(data);
+
+  drawBudgets(report.budgets);
+
+  // Shifts are detected at the selected percentile, so they're re-detected
+  // whenever the report is re-rendered.
+  const shifts = detectShifts(data, displayOpts.percentile);
+  drawRegressions(shifts);
+
+  drawAssessment(data.pages);
+
   for (const [name, metric] of Object.entries(data.metrics)) {
+    if (!metric.values.length) {
+      drawEmptyMetric(name);
+      continue;
+    }
+
     let maxValue;
     let bucketSize;
 
@@ -393,9 +2090,37 @@ export function renderCharts(report, reportOpts) {
           bucketSize = 10;
         }
         break;
+      case 'FCP':
+        maxValue = Math.max(Math.ceil(p98 / 1000) * 1000, 2000);
+
+        bucketSize = 50;
+        if (maxValue > 3000) {
+          bucketSize = 100;
+        }
+        if (maxValue > 5000) {
+          bucketSize = 200;
+        }
+        if (maxValue > 10000) {
+          bucketSize = 500;
+        }
+        break;
+      case 'TTFB':
+        maxValue = Math.max(Math.ceil(p95 / 500) * 500, 1000);
+
+        bucketSize = 20;
+        if (maxValue > 2000) {
+          bucketSize = 50;
+        }
+        if (maxValue > 5000) {
+          bucketSize = 100;
+        }
+        break;
     }
 
-    drawSummary(name, metric.segments);
+    const comparisonMetric = comparisonData && comparisonData.metrics[name];
+
+    drawSummary(name, metric.segments, comparisonMetric?.segments);
+    drawDistribution(name, metric.segments);
 
     drawHistogram({
       metric: name,
@@ -403,17 +2128,22 @@ export function renderCharts(report, reportOpts) {
       maxValue: maxValue,
       bucketSize: bucketSize,
       dimensionValues: metric.segments,
+      comparisonValues: comparisonMetric?.segments,
     });
 
-    drawTimeline(name, metric.dates);
+    drawTimeline(name, metric.dates, comparisonMetric?.dates,
+        shifts.filter((shift) => shift.metric === name));
+    drawDistributionTimeline(name, metric.dates);
   }
 
-  drawTable('countries', 'Country', [...Object.entries(data.countries)]);
-  drawTable('pages', 'Page', [...Object.entries(data.pages)]);
+  drawTTFBWaterfall(
+      data.metrics.TTFB.values.length ? data.metrics.TTFB.parts : null);
+
+  drawBreakdowns(data.breakdowns, comparisonData?.breakdowns);
 
   // Only render the debug table if a debug dimension is set in the options.
-  if (reportOpts.active && reportOpts.debugDim) {
-    drawDebugInfo(data.pages);
+  if (data.debugDims.length) {
+    drawDebugInfo(data.pages, data.debugDims);
   } else {
     document.getElementById('debug').innerHTML = '';
   }
@@ -14,209 +14,359 @@
  * limitations under the License.
  */
 
-import {getReport, getSegmentNameById, PAGE_SIZE} from './api.js';
+import {getGA4Report, getReport, getSegmentNameById, GA4_PAGE_SIZE, isGA4Property, PAGE_SIZE} from './api.js';
+import {parseFilters, toFilterClauses, toGA4FilterExpressions} from './filters.js';
+import {getMetricNameOpt, METRICS} from './metrics.js';
+import {compilePathRules} from './paths.js';
+import {progress} from './Progress.js';
+import {Deferred} from './utils.js';
 import {WebVitalsError} from './WebVitalsError.js';
 
 
-export async function getWebVitalsData(state, opts) {
-  const reportRequest = buildReportRequest(state, opts);
-  const {rows, meta} = await getReport(reportRequest);
+const standardDimensions = {
+  ua: {date: 'ga:date', country: 'ga:country', page: 'ga:pagePath'},
+  ga4: {date: 'date', country: 'country', page: 'pagePath'},
+};
 
-  const metricNameMap = {
-    [opts.lcpName]: 'LCP',
-    [opts.fidName]: 'FID',
-    [opts.clsName]: 'CLS',
-    [opts.inpName]: 'INP',
-  };
+// The maximum number of dimensions in a report request (for the Reporting
+// API this includes the segment), and the number of them that are always
+// used: the segment (UA only), date, metric name, and metric ID.
+const dimensionLimits = {
+  ua: {max: 7, required: 4},
+  ga4: {max: 9, required: 3},
+};
+
+/**
+ * Returns the page path dimension for a view.
+ * @param {string} viewId
+ * @return {string}
+ */
+export function getPageDimension(viewId) {
+  return standardDimensions[isGA4Property(viewId) ? 'ga4' : 'ua'].page;
+}
 
-  if (rows.length === 0) {
-    throw new WebVitalsError('no_web_vitals_events');
+/**
+ * Returns the filter groups for a report: the view's filters (if the
+ * advanced options are active) and a group for each drill-down filter,
+ * which matches any of the drill-down's dimension values exactly.
+ * @param {Object} state
+ * @param {Object} opts
+ * @return {Array<Array<Object>>} See `parseFilters()`.
+ */
+function getFilterGroups(state, opts) {
+  const groups = opts.active && opts.filters ? parseFilters(opts.filters) : [];
+  for (const {dimension, values} of state.drillDown || []) {
+    groups.push(values.map((value) => {
+      return {name: dimension, operator: '==', value, isMetric: false};
+    }));
   }
+  return groups;
+}
 
-  const getSegmentsObj = (getDefaultValue = () => []) => {
-    const segmentIdA = reportRequest.segments[0].segmentId.slice(6);
-    const segmentIdB = reportRequest.segments[1].segmentId.slice(6);
-    const retValue = {
-      [getSegmentNameById(segmentIdA)]: getDefaultValue(),
-      [getSegmentNameById(segmentIdB)]: getDefaultValue(),
-    };
+/**
+ * Returns the breakdowns shown for a view that hasn't configured any.
+ * @param {string} viewId
+ * @return {Array<{dimension: string, label: string}>}
+ */
+export function getDefaultBreakdowns(viewId) {
+  const dims = standardDimensions[isGA4Property(viewId) ? 'ga4' : 'ua'];
+  return [
+    {dimension: dims.country, label: 'Country'},
+    {dimension: dims.page, label: 'Page'},
+  ];
+}
 
-    // As Segments C and D are optional they may not exist
-    if (reportRequest.segments.length > 2) {
-      const segmentIdC = reportRequest.segments[2].segmentId.slice(6);
-      retValue[getSegmentNameById(segmentIdC)] = getDefaultValue();
-    }
-    if (reportRequest.segments.length > 3) {
-      const segmentIdD = reportRequest.segments[3].segmentId.slice(6);
-      retValue[getSegmentNameById(segmentIdD)] = getDefaultValue();
+/**
+ * Returns the configured breakdown or debug dimensions without any that are
+ * empty or repeated, and with the dimension name as the label if one isn't
+ * set.
+ * @param {Array<{dimension: string, label: string}>} dimensions
+ * @return {Array<{dimension: string, label: string}>}
+ */
+export function getValidDimensions(dimensions) {
+  const seen = new Set();
+  const validDimensions = [];
+  for (const {dimension, label} of dimensions) {
+    const name = dimension.trim();
+    if (name && !seen.has(name)) {
+      seen.add(name);
+      validDimensions.push({dimension: name, label: label.trim() || name});
     }
+  }
+  return validDimensions;
+}
 
-    return retValue;
-  };
+/**
+ * Splits the breakdown dimensions between the main report and additional
+ * reports, so each report stays within the dimension limit. The page
+ * dimension is always in the main report, as it's needed for the debug info
+ * (even if it's not one of the breakdowns), and otherwise the breakdowns
+ * are added in order.
+ * @param {Array<string>} breakdownDims
+ * @param {string} pageDim
+ * @param {{max: number, required: number}} limits
+ * @param {number} debugDimCount
+ * @return {{mainDims: Array<string>, extraDims: Array<Array<string>>}}
+ */
+function splitBreakdownDims(breakdownDims, pageDim, limits, debugDimCount) {
+  const maxDims = limits.max - limits.required;
+  const mainSlots = maxDims - debugDimCount - 1;
 
-  const getMetricsObj = (getDefaultValue = getSegmentsObj) => {
-    return {
-      LCP: getDefaultValue(),
-      FID: getDefaultValue(),
-      CLS: getDefaultValue(),
-      INP: getDefaultValue(),
-    };
-  };
+  // The debug dimensions and the page dimension must fit in the main report.
+  if (mainSlots < 0) {
+    throw new WebVitalsError('too_many_debug_dimensions', maxDims - 1);
+  }
 
-  const incrementCount = (obj) => {
-    if (!Object.prototype.hasOwnProperty.call(obj, 'count')) {
-      Object.defineProperty(obj, 'count', {writable: true, value: 0});
-    }
-    obj.count++;
-  };
+  const otherDims = breakdownDims.filter((dim) => dim !== pageDim);
+  const mainOtherDims = otherDims.slice(0, mainSlots);
+  const mainDims = breakdownDims.includes(pageDim) ?
+      breakdownDims.filter((dim) => {
+        return dim === pageDim || mainOtherDims.includes(dim);
+      }) :
+      [...mainOtherDims, pageDim];
+
+  const extraDims = [];
+  for (let i = mainSlots; i < otherDims.length; i += maxDims) {
+    extraDims.push(otherDims.slice(i, i + maxDims));
+  }
+  return {mainDims, extraDims};
+}
 
-  const data = {
-    metrics: getMetricsObj(() => {
-      return {values: [], segments: getSegmentsObj(), dates: {}};
-    }),
-    countries: {},
-    pages: {},
-  };
+/**
+ * Builds and runs a report request for the property type of the selected
+ * view. GA4 reports are converted to the same row format as Reporting API
+ * reports (segment ID first, followed by the passed dimensions), so the
+ * results can be processed the same way for both property types.
+ * @param {Object} state
+ * @param {Object} opts
+ * @param {Array<string>} dimensions
+ * @param {Array<string>} metrics The metrics whose events to include.
+ * @param {AbortSignal} [signal]
+ * @return {Promise<{chunks: Array<Array|Object>, meta: Object}>}
+ */
+function runReport(state, opts, dimensions, metrics, signal) {
+  const metricNames = metrics.map((metric) => opts[getMetricNameOpt(metric)]);
+
+  return isGA4Property(state.viewId) ?
+      getGA4Report(buildGA4ReportRequest(
+          state, opts, dimensions, metricNames), signal) :
+      getReport(
+          buildReportRequest(state, opts, dimensions, metricNames), signal);
+}
 
-  for (const row of rows) {
-    let value = Number(row.metrics[0].values[0]);
-    let [segmentId, date, metric, country, page] = row.dimensions;
+/**
+ * Fetches and aggregates the Web Vitals data for the passed state and view
+ * options. Aborting the passed signal cancels any pending requests (and
+ * aggregation), rejecting with a `report_cancelled` error.
+ * @param {Object} state
+ * @param {Object} opts
+ * @param {AbortSignal} [signal]
+ * @return {Promise<{data: Object, meta: Object}>}
+ */
+export async function getWebVitalsData(state, opts, signal) {
+  const {segmentA, segmentB, segmentC, segmentD} = state;
+  const segmentIds = [segmentA, segmentB, segmentC, segmentD].filter(Boolean);
+  const propertyType = isGA4Property(state.viewId) ? 'ga4' : 'ua';
+  const dims = standardDimensions[propertyType];
+  const debugDims = opts.active ? getValidDimensions(opts.debugDims) : [];
+
+  // The path rules are applied in the worker, but are validated first so an
+  // invalid rule doesn't cost any report requests.
+  compilePathRules(opts.pathRules);
+
+  const breakdowns = getValidDimensions(opts.breakdowns);
+  const {mainDims, extraDims} = splitBreakdownDims(
+      breakdowns.map(({dimension}) => dimension), dims.page,
+      dimensionLimits[propertyType], debugDims.length);
 
-    const debugId = opts.active && opts.debugDim ?
-        row.dimensions[row.dimensions.length - 1] : null;
+  const dimensions = [
+    dims.date,
+    opts.metricNameDim, // Metric name (ga:eventAction)
+    ...mainDims,
+    opts.metricIdDim, // Unique metric ID (ga:eventLabel)
+  ];
 
-    const segment = getSegmentNameById(segmentId);
+  for (const {dimension} of debugDims) {
+    dimensions.push(dimension);
+  }
 
-    // Convert the metric from any custom name to the standard name.
-    metric = metricNameMap[metric];
+  // Breakdowns that don't fit in the main report, and the TTFB sub-part
+  // timings (only for TTFB events, to stay within the dimension limit of the
+  // reporting APIs), are requested separately, alongside the main report.
+  const [{chunks, meta}, extraReports, ttfbTimingReport] = await Promise.all([
+    runReport(state, opts, dimensions, METRICS, signal),
+    Promise.all(extraDims.map((reportDims) => {
+      return runReport(state, opts, [
+        dims.date,
+        opts.metricNameDim,
+        ...reportDims,
+        opts.metricIdDim,
+      ], METRICS, signal);
+    })),
+    opts.active && opts.ttfbTimingDim ?
+        runReport(state, opts,
+            [dims.date, opts.metricIdDim, opts.ttfbTimingDim], ['TTFB'],
+            signal) :
+        null,
+  ]);
+
+  const breakdownReports = extraReports.map((report, i) => {
+    meta.isSampled = meta.isSampled || report.meta.isSampled;
+    return {chunks: report.chunks, dimensions: extraDims[i]};
+  });
 
-    // CLS is sent to Google Analytics at 1000x for greater precision.
-    if (metric === 'CLS') {
-      value = value / 1000;
-    }
+  const metricNameMap = Object.fromEntries(METRICS.map((metric) => {
+    return [opts[getMetricNameOpt(metric)], metric];
+  }));
+
+  const {data, rowCount} = await aggregateInWorker({
+    chunks,
+    ttfbChunks: ttfbTimingReport && ttfbTimingReport.chunks,
+    breakdownReports,
+  }, {
+    segments: segmentIds.map((id) => [id, getSegmentNameById(id)]),
+    metricNameMap,
+    breakdowns,
+    mainDims,
+    pageDim: dims.page,
+    pathRules: opts.pathRules,
+    debugDims,
+  }, signal);
+
+  return {data, meta: {...meta, rowCount}};
+}
 
-    // Even though the report limits `metric` values to LCP, FID, CLS, and INP
-    // for reports with more than a million rows of data, Google Analytics
-    // will aggregate everything after the first million rows into and "(other)"
-    // bucket, which skews the data and makes the report useless.
-    // The only solution to this is to make more granular requests (e.g.
-    // reduce the date range or add filters) and manually combine the data
-    // yourself.
-    if (metric !== 'LCP' && metric !== 'FID'
-        && metric !== 'CLS' && metric !== 'INP') {
-      throw new WebVitalsError('unexpected_metric', metric);
-    }
+/**
+ * Decodes, merges, and aggregates the report rows in a worker, so large
+ * reports don't block the main thread. Chunks can be either arrays of rows
+ * or (for cached data) rows encoded as they were stored (see `encoding.js`),
+ * which lets the worker do the decoding as well.
+ *
+ * Each job gets its own worker, which is terminated once the job settles.
+ * Terminating the worker is the only way to stop a job in progress, so this
+ * way cancelling a report never affects any other jobs.
+ * @param {{
+ *   chunks: Array<Array|Object>,
+ *   ttfbChunks: (Array<Array|Object>|null),
+ *   breakdownReports: Array<{
+ *     chunks: Array<Array|Object>,
+ *     dimensions: Array<string>,
+ *   }>,
+ * }} reports The chunks of the main report, the TTFB timing report (if
+ *     any), and the additional breakdown reports (if any).
+ * @param {Object} context See `aggregateReport()`.
+ * @param {AbortSignal} [signal]
+ * @return {Promise<{data: Object, rowCount: number}>}
+ */
+async function aggregateInWorker(reports, context, signal) {
+  if (signal && signal.aborted) {
+    throw new WebVitalsError('report_cancelled');
+  }
 
-    const metricData = data.metrics[metric];
-    metricData.values.push(value);
-
-    // Breakdown by segment.
-    metricData.segments[segment] = metricData.segments[segment] || [];
-    metricData.segments[segment].push(value);
-
-    // Breakdown by date.
-    metricData.dates[date] = metricData.dates[date] || getSegmentsObj();
-    metricData.dates[date][segment].push(value);
-
-    // Breakdown by country.
-    data.countries[country] = data.countries[country] || getMetricsObj();
-    data.countries[country][metric][segment].push(value);
-    incrementCount(data.countries[country]);
-
-    // Breakdown by page.
-    data.pages[page] = data.pages[page] || getMetricsObj();
-    const pageSeg = data.pages[page][metric][segment];
-    pageSeg.push(value);
-    incrementCount(data.pages[page]);
-
-    // Debug info by page.
-    if (debugId) {
-      pageSeg.debug = pageSeg.debug || {};
-      pageSeg.debug[debugId] = pageSeg.debug[debugId] || [];
-      pageSeg.debug[debugId].push(value);
-      incrementCount(pageSeg.debug[debugId]);
+  const worker = new Worker('./worker.js');
+  const deferred = new Deferred();
+  const onAbort = () => deferred.reject(new WebVitalsError('report_cancelled'));
+
+  worker.addEventListener('message', ({data: message}) => {
+    if (message.type === 'progress') {
+      progress.cur++;
+    } else if (message.type === 'result') {
+      deferred.resolve({data: message.data, rowCount: message.rowCount});
+    } else {
+      const {code, params, message: errorMessage} = message.error;
+      deferred.reject(code ?
+          new WebVitalsError(code, ...params) : new Error(errorMessage));
     }
+  });
+  worker.addEventListener('error', (event) => {
+    deferred.reject(new Error(event.message));
+  });
+  if (signal) {
+    signal.addEventListener('abort', onAbort, {once: true});
   }
 
-  // Sort data
-  function sortObjByCount(obj) {
-    const newObj = {};
-    const sortedKeys =
-        Object.keys(obj).sort((a, b) => obj[b].count - obj[a].count);
-
-    for (const key of sortedKeys) {
-      newObj[key] = obj[key];
+  // The worker reports progress after processing each chunk.
+  const {chunks, ttfbChunks, breakdownReports} = reports;
+  progress.total += chunks.length + (ttfbChunks ? ttfbChunks.length : 0) +
+      breakdownReports.reduce((total, r) => total + r.chunks.length, 0);
+
+  worker.postMessage({...reports, context});
+  try {
+    return await deferred.promise;
+  } finally {
+    worker.terminate();
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
     }
-    return newObj;
   }
+}
 
-  // Sort data by count.
-  data.countries = sortObjByCount(data.countries);
-  data.pages = sortObjByCount(data.pages);
+function buildGA4ReportRequest(state, opts, dimensions, metricNames) {
+  const {viewId, startDate, endDate,
+         segmentA, segmentB, segmentC, segmentD} = state;
 
-  return {data, rows, meta};
-}
+  const {dimensionExpressions, metricExpressions} =
+      toGA4FilterExpressions(getFilterGroups(state, opts));
 
-function parseFilters(filtersExpression) {
-  if (filtersExpression.match(/[^\\],/)) {
-    throw new WebVitalsError('unsupported_filter_expression');
-  }
+  const expressions = [
+    {
+      filter: {
+        fieldName: opts.metricNameDim,
+        inListFilter: {values: metricNames},
+      },
+    },
+    ...dimensionExpressions,
+  ];
 
-  // TODO: add support for escaping semicolons.
-  return filtersExpression.split(';').map((expression) => {
-    const match = /(ga:\w+)([!=][=@~])(.+)$/.exec(expression);
-    if (!match) {
-      throw new WebVitalsError('invalid_filter_expression', expression);
-    }
+  const reportRequest = {
+    property: viewId,
+    segments: [segmentA, segmentB, segmentC, segmentD].filter(Boolean),
+    limit: GA4_PAGE_SIZE,
+    dateRanges: [{startDate, endDate}],
+    metrics: [{name: 'eventValue'}],
+    // The segment is not a dimension in GA4, `getGA4Report()` prepends it
+    // to each row instead.
+    dimensions: dimensions.map((name) => ({name})),
+    dimensionFilter: {
+      andGroup: {expressions},
+    },
+    orderBys: [
+      {
+        metric: {metricName: 'eventValue'},
+      },
+      {
+        dimension: {dimensionName: 'date'},
+      },
+    ],
+  };
 
-    const filter = {
-      dimensionName: match[1],
-      expressions: [match[3]],
+  if (metricExpressions.length) {
+    reportRequest.metricFilter = {
+      andGroup: {expressions: metricExpressions},
     };
+  }
 
-    if (match[2].startsWith('!')) {
-      filter.not = true;
-    }
-
-    if (match[2].endsWith('=')) {
-      filter.operator = 'EXACT';
-    } else if (match[2].endsWith('@')) {
-      filter.operator = 'PARTIAL';
-    } else if (match[3].endsWith('~')) {
-      filter.operator = 'REGEXP';
-    }
-    return filter;
-  });
+  return reportRequest;
 }
 
-function buildReportRequest(state, opts) {
+function buildReportRequest(state, opts, dimensions, metricNames) {
   const {viewId, startDate, endDate,
          segmentA, segmentB, segmentC, segmentD} = state;
 
-  const dimensions = [
-    {name: 'ga:segment'},
-    {name: 'ga:date'},
-    {name: opts.metricNameDim}, // Metric name (ga:eventAction)
-    {name: 'ga:country'},
-    {name: 'ga:pagePath'},
-    {name: opts.metricIdDim}, // Unique metric ID (ga:eventLabel)
-  ];
-
-  if (opts.active && opts.debugDim) {
-    dimensions.push({name: opts.debugDim});
-  }
-
-  let filters = [
-    {
-      dimensionName: opts.metricNameDim,
-      operator: 'IN_LIST',
-      expressions: [opts.lcpName, opts.fidName, opts.clsName, opts.inpName],
-    },
-  ];
+  // Each clause is an OR group of filters, and all clauses must match.
+  const {dimensionFilterClauses, metricFilterClauses} =
+      toFilterClauses(getFilterGroups(state, opts));
 
-  if (opts.active && opts.filters) {
-    filters = filters.concat(parseFilters(opts.filters));
-  }
+  dimensionFilterClauses.unshift({
+    operator: 'AND',
+    filters: [
+      {
+        dimensionName: opts.metricNameDim,
+        operator: 'IN_LIST',
+        expressions: metricNames,
+      },
+    ],
+  });
 
   // We always have at least two segments
   const segments = [
@@ -231,7 +381,7 @@ function buildReportRequest(state, opts) {
     segments.push({segmentId: `gaid::${segmentD}`});
   }
 
-  return {
+  const reportRequest = {
     viewId,
     pageSize: PAGE_SIZE,
     // samplingLevel: 'SMALL',
@@ -239,11 +389,8 @@ function buildReportRequest(state, opts) {
     dateRanges: [{startDate, endDate}],
     segments: segments,
     metrics: [{expression: 'ga:eventValue'}],
-    dimensions,
-    dimensionFilterClauses: {
-      operator: 'AND',
-      filters,
-    },
+    dimensions: [{name: 'ga:segment'}, ...dimensions.map((name) => ({name}))],
+    dimensionFilterClauses,
     orderBys: [
       {
         fieldName: 'ga:eventValue',
@@ -255,4 +402,10 @@ function buildReportRequest(state, opts) {
       },
     ],
   };
+
+  if (metricFilterClauses.length) {
+    reportRequest.metricFilterClauses = metricFilterClauses;
+  }
+
+  return reportRequest;
 }
@@ -0,0 +1,146 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Cached report rows are stored in a columnar format rather than as JSON:
+ * each dimension is dictionary-encoded (a list of its unique values, plus
+ * a typed array with the index of each row's value), and the metric values
+ * are stored in a typed array. Most dimensions of a cache entry only have a
+ * few unique values (e.g. the segment, date, metric name, and country), so
+ * this is much smaller than JSON, and typed arrays are stored and cloned
+ * (e.g. when posted to the worker) without any parsing.
+ *
+ * This module has no dependencies, as it's used by the worker as well.
+ */
+
+function getIndexArrayType(dictionarySize) {
+  if (dictionarySize <= 2 ** 8) {
+    return Uint8Array;
+  }
+  return dictionarySize <= 2 ** 16 ? Uint16Array : Uint32Array;
+}
+
+/**
+ * Encodes an array of Reporting API rows (all with the same number of
+ * dimensions and a single metric value).
+ * @param {Array} rows
+ * @return {{
+ *   rowCount: number,
+ *   dictionaries: Array<Array<string>>,
+ *   indexes: Array<TypedArray>,
+ *   values: (Int32Array|Float64Array),
+ * }}
+ */
+export function encodeRows(rows) {
+  const dimensionCount = rows.length ? rows[0].dimensions.length : 0;
+  const dictionaries = [];
+  const indexes = [];
+
+  for (let d = 0; d < dimensionCount; d++) {
+    const dictionary = new Map();
+    const rowIndexes = rows.map(({dimensions}) => {
+      const value = dimensions[d];
+      let index = dictionary.get(value);
+      if (index === undefined) {
+        index = dictionary.size;
+        dictionary.set(value, index);
+      }
+      return index;
+    });
+
+    const IndexArray = getIndexArrayType(dictionary.size);
+    dictionaries.push([...dictionary.keys()]);
+    indexes.push(IndexArray.from(rowIndexes));
+  }
+
+  // Values are almost always integers (milliseconds, or CLS * 1000), which
+  // can be stored in half the space.
+  const values = rows.map((row) => Number(row.metrics[0].values[0]));
+  const isInt32 = values.every((v) => v === (v | 0));
+  const ValueArray = isInt32 ? Int32Array : Float64Array;
+
+  return {
+    rowCount: rows.length,
+    dictionaries,
+    indexes,
+    values: ValueArray.from(values),
+  };
+}
+
+/**
+ * Decodes rows encoded with `encodeRows()` back into Reporting API rows.
+ * @param {Object} encoded
+ * @return {Array}
+ */
+export function decodeRows({rowCount, dictionaries, indexes, values}) {
+  const rows = new Array(rowCount);
+  for (let i = 0; i < rowCount; i++) {
+    const dimensions = new Array(dictionaries.length);
+    for (let d = 0; d < dictionaries.length; d++) {
+      dimensions[d] = dictionaries[d][indexes[d][i]];
+    }
+    rows[i] = {dimensions, metrics: [{values: [String(values[i])]}]};
+  }
+  return rows;
+}
+
+/**
+ * Throws if the passed value isn't rows encoded with `encodeRows()` that can
+ * be decoded (e.g. a corrupt cache entry, or one in an older format). This
+ * is much cheaper than decoding, so it's used to check cached rows on the
+ * main thread before they're decoded in the worker.
+ * @param {Object} encoded
+ */
+export function validateEncodedRows(encoded) {
+  const {rowCount, dictionaries, indexes, values} = encoded || {};
+  const isValid = Number.isInteger(rowCount) &&
+      Array.isArray(dictionaries) && Array.isArray(indexes) &&
+      indexes.length === dictionaries.length &&
+      ArrayBuffer.isView(values) && values.length === rowCount &&
+      indexes.every((dimensionIndexes, d) => {
+        if (!ArrayBuffer.isView(dimensionIndexes) ||
+            dimensionIndexes.length !== rowCount) {
+          return false;
+        }
+        const dictionarySize = dictionaries[d].length;
+        for (let i = 0; i < rowCount; i++) {
+          if (dimensionIndexes[i] >= dictionarySize) {
+            return false;
+          }
+        }
+        return true;
+      });
+
+  if (!isValid) {
+    throw new Error('Cached rows could not be decoded');
+  }
+}
+
+/**
+ * Returns the approximate size (in bytes) of encoded rows.
+ * @param {Object} encoded
+ * @return {number}
+ */
+export function getEncodedSize({dictionaries, indexes, values}) {
+  let size = values.byteLength;
+  for (let d = 0; d < dictionaries.length; d++) {
+    size += indexes[d].byteLength;
+    for (const value of dictionaries[d]) {
+      size += value.length;
+    }
+  }
+  return size;
+}
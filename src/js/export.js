@@ -0,0 +1,214 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {getMinSamples, p} from './stats.js';
+import {escapeFormula} from './utils.js';
+
+
+function getPercentileValues(values, percentiles) {
+  return percentiles.map((percentile) => {
+    return values.length >= getMinSamples(percentile) ?
+        p(percentile, values) : null;
+  });
+}
+
+/**
+ * Returns the passed names with duplicates made unique by appending a
+ * number (e.g. a breakdown labeled "Summary" becomes "Summary (2)"), so
+ * they can be used as keys.
+ * @param {Array<string>} names
+ * @return {Array<string>}
+ */
+function getUniqueNames(names) {
+  const usedNames = new Set();
+  return names.map((name) => {
+    let uniqueName = name;
+    for (let i = 2; usedNames.has(uniqueName); i++) {
+      uniqueName = `${name} (${i})`;
+    }
+    usedNames.add(uniqueName);
+    return uniqueName;
+  });
+}
+
+/**
+ * Returns the (unique) names of the tables returned by `getExportTables()`.
+ * @param {Object} data The data returned by `getWebVitalsData()`.
+ * @return {Array<string>}
+ */
+export function getExportTableNames(data) {
+  return getUniqueNames([
+    'Summary',
+    'Timeline',
+    ...data.breakdowns.map(({label}) => label),
+    ...(data.debugDims.length ? ['Debug'] : []),
+  ]);
+}
+
+function formatDate(date) {
+  return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}`;
+}
+
+/**
+ * Returns the report data as tables, for exporting. All tables have one row
+ * per metric and segment (and date, dimension value, etc.) with the number
+ * of values and the value at each of the passed percentiles, which is
+ * `null` if there aren't enough values to report it. Table names and the
+ * column names of each table are unique.
+ * @param {Object} data The data returned by `getWebVitalsData()`.
+ * @param {Array<number>} percentiles
+ * @return {Array<{
+ *   name: string,
+ *   columns: Array<string>,
+ *   rows: Array<Array<?(string|number)>>,
+ * }>}
+ */
+export function getExportTables(data, percentiles) {
+  const valueColumns = ['Count', ...percentiles.map((p) => `p${p}`)];
+  const getValueCells = (values) => {
+    return [values.length, ...getPercentileValues(values, percentiles)];
+  };
+
+  // Adds a row for each metric and segment of a dimension value's values.
+  const addRows = (rows, cells, values) => {
+    for (const [metric, segments] of Object.entries(values)) {
+      for (const [segment, segmentValues] of Object.entries(segments)) {
+        rows.push([...cells, metric, segment, ...getValueCells(segmentValues)]);
+      }
+    }
+  };
+
+  const summary = {
+    name: 'Summary',
+    columns: ['Metric', 'Segment', ...valueColumns],
+    rows: [],
+  };
+  const timeline = {
+    name: 'Timeline',
+    columns: ['Date', 'Metric', 'Segment', ...valueColumns],
+    rows: [],
+  };
+  for (const [metric, {segments, dates}] of Object.entries(data.metrics)) {
+    addRows(summary.rows, [], {[metric]: segments});
+
+    // Each metric and segment's series is kept together, in date order.
+    for (const segment of Object.keys(segments)) {
+      for (const date of Object.keys(dates).sort()) {
+        timeline.rows.push([
+          formatDate(date),
+          metric,
+          segment,
+          ...getValueCells(dates[date][segment] || []),
+        ]);
+      }
+    }
+  }
+
+  const breakdowns = data.breakdowns.map(({label, values}) => {
+    const table = {
+      name: label,
+      columns: [label, 'Metric', 'Segment', ...valueColumns],
+      rows: [],
+    };
+    for (const [dimensionValue, dimensionValues] of Object.entries(values)) {
+      addRows(table.rows, [dimensionValue], dimensionValues);
+    }
+    return table;
+  });
+
+  const tables = [summary, timeline, ...breakdowns];
+
+  if (data.debugDims.length) {
+    const debug = {
+      name: 'Debug',
+      columns: [
+        'Page',
+        ...data.debugDims.map(({label}) => label),
+        'Metric',
+        'Segment',
+        ...valueColumns,
+      ],
+      rows: [],
+    };
+    for (const [page, pageValues] of Object.entries(data.pages)) {
+      for (const [metric, segments] of Object.entries(pageValues)) {
+        for (const [segment, segmentValues] of Object.entries(segments)) {
+          const debugValues = segmentValues.debug || {};
+          for (const [key, values] of Object.entries(debugValues)) {
+            debug.rows.push([
+              page,
+              ...JSON.parse(key),
+              metric,
+              segment,
+              ...getValueCells(values),
+            ]);
+          }
+        }
+      }
+    }
+    tables.push(debug);
+  }
+
+  const tableNames = getExportTableNames(data);
+  return tables.map((table, i) => {
+    const columns = getUniqueNames(table.columns);
+    return {...table, name: tableNames[i], columns};
+  });
+}
+
+function getCSVCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(escapeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Returns the passed tables as CSV. If there's more than one table, each
+ * table is preceded by a row with its name and separated from the previous
+ * table by an empty row.
+ * @param {Array<Object>} tables See `getExportTables()`.
+ * @return {string}
+ */
+export function toCSV(tables) {
+  return tables.map(({name, columns, rows}) => {
+    const lines = [columns, ...rows].map((row) => {
+      return row.map(getCSVCell).join(',');
+    });
+    if (tables.length > 1) {
+      lines.unshift(getCSVCell(name));
+    }
+    return lines.join('\r\n');
+  }).join('\r\n\r\n') + '\r\n';
+}
+
+/**
+ * Returns the passed tables as JSON, as an object with a property for each
+ * table containing an array of rows, where each row is an object keyed by
+ * the table's column names.
+ * @param {Array<Object>} tables See `getExportTables()`.
+ * @return {string}
+ */
+export function toJSON(tables) {
+  const json = {};
+  for (const {name, columns, rows} of tables) {
+    json[name] = rows.map((row) => {
+      return Object.fromEntries(columns.map((column, i) => [column, row[i]]));
+    });
+  }
+  return JSON.stringify(json, null, 2);
+}
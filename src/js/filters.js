@@ -0,0 +1,273 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {WebVitalsError} from './WebVitalsError.js';
+
+
+/**
+ * Filter expressions use the syntax of the Core Reporting API (v3):
+ * https://developers.google.com/analytics/devguides/reporting/core/v3/reference#filters
+ *
+ * Filters are combined with `,` (OR) and `;` (AND), where OR has the higher
+ * precedence, so an expression is always an AND of OR groups. Literal commas
+ * and semicolons (and backslashes before them) in values must be escaped
+ * with a backslash. Any other backslashes are kept as is, so regular
+ * expressions like `\d+` don't need to be escaped.
+ */
+
+// The only metric in Web Vitals reports is the event value, so it's the only
+// name that can be used in metric filters.
+const METRIC_NAMES = new Set(['ga:eventValue', 'eventValue']);
+
+/**
+ * The supported operators (longest first, so they can be matched in order)
+ * and the Reporting API (v4) operators they map to. The Data API uses the
+ * same names for metric operators.
+ */
+export const OPERATORS = {
+  '==': {dimension: 'EXACT', metric: 'EQUAL'},
+  '!=': {dimension: 'EXACT', metric: 'EQUAL', not: true},
+  '=@': {dimension: 'PARTIAL'},
+  '!@': {dimension: 'PARTIAL', not: true},
+  '=~': {dimension: 'REGEXP'},
+  '!~': {dimension: 'REGEXP', not: true},
+  '>=': {metric: 'LESS_THAN', not: true},
+  '<=': {metric: 'GREATER_THAN', not: true},
+  '>': {metric: 'GREATER_THAN'},
+  '<': {metric: 'LESS_THAN'},
+};
+
+const GA4_MATCH_TYPES = {
+  EXACT: 'EXACT',
+  PARTIAL: 'CONTAINS',
+  REGEXP: 'PARTIAL_REGEXP',
+};
+
+export function isMetricName(name) {
+  return METRIC_NAMES.has(name);
+}
+
+/**
+ * Splits an expression on unescaped `,` and `;` characters.
+ * @param {string} input
+ * @return {Array<{type: string, text: string, position: number}>} Tokens of
+ *     type "filter" (with the raw, still escaped, text), "or", or "and".
+ *     Positions are zero-based character offsets into the input.
+ */
+function tokenize(input) {
+  const tokens = [];
+  let start = 0;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\\' && /[\\,;]/.test(input[i + 1])) {
+      i++;
+    } else if (char === ',' || char === ';') {
+      const text = input.slice(start, i);
+      tokens.push({type: 'filter', text, position: start});
+      tokens.push({type: char === ',' ? 'or' : 'and', position: i});
+      start = i + 1;
+    }
+  }
+  tokens.push({type: 'filter', text: input.slice(start), position: start});
+  return tokens;
+}
+
+function unescape(value) {
+  return value.replace(/\\([\\,;])/g, '$1');
+}
+
+function escape(value) {
+  return value.replace(/([,;]|\\(?=[\\,;]|$))/g, '\\$1');
+}
+
+function throwFilterError(input, reason, position) {
+  // Positions are reported one-based, as they're shown to the user.
+  throw new WebVitalsError(
+      'invalid_filter_expression', input, reason, position + 1);
+}
+
+function parseFilter(input, {text, position}) {
+  const name = /^[\w:]*/.exec(text)[0];
+  if (!name) {
+    throwFilterError(input, text ?
+        'expected a dimension or metric name' : 'expected a filter', position);
+  }
+
+  const rest = text.slice(name.length);
+  const operator = Object.keys(OPERATORS).find((op) => rest.startsWith(op));
+  const operatorPosition = position + name.length;
+  if (!operator) {
+    throwFilterError(input, `expected an operator after "${name}"`,
+        operatorPosition);
+  }
+
+  const isMetric = isMetricName(name);
+  if (!OPERATORS[operator][isMetric ? 'metric' : 'dimension']) {
+    throwFilterError(input,
+        `"${operator}" can't be used with the ${isMetric ? 'metric' :
+        'dimension'} "${name}"`, operatorPosition);
+  }
+
+  const value = unescape(rest.slice(operator.length));
+  const valuePosition = operatorPosition + operator.length;
+  if (isMetric && (value === '' || !Number.isFinite(Number(value)))) {
+    throwFilterError(input, `expected a number after "${operator}"`,
+        valuePosition);
+  }
+  if (!value && !['==', '!='].includes(operator)) {
+    throwFilterError(input, `expected a value after "${operator}"`,
+        valuePosition);
+  }
+
+  return {name, operator, value, isMetric, position};
+}
+
+/**
+ * Parses a filter expression into AND groups of OR filters. An empty
+ * expression returns no groups. Errors are thrown as `WebVitalsError`s with
+ * the position of the problem in the expression.
+ * @param {string} input
+ * @return {Array<Array<{
+ *   name: string,
+ *   operator: string,
+ *   value: string,
+ *   isMetric: boolean,
+ *   position: number,
+ * }>>}
+ */
+export function parseFilters(input) {
+  if (!input.trim()) {
+    return [];
+  }
+
+  const groups = [[]];
+  for (const token of tokenize(input)) {
+    if (token.type === 'and') {
+      groups.push([]);
+    } else if (token.type === 'filter') {
+      groups[groups.length - 1].push(parseFilter(input, token));
+    }
+  }
+
+  // The reporting APIs can't combine dimension and metric filters with OR.
+  for (const group of groups) {
+    const mixedFilter = group.find((f) => f.isMetric !== group[0].isMetric);
+    if (mixedFilter) {
+      throwFilterError(input,
+          'dimension and metric filters can\'t be combined with ","',
+          mixedFilter.position);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Converts filter groups back into an expression, escaping values as
+ * needed. Filters without a name (e.g. incomplete filters in the filter
+ * builder) are skipped.
+ * @param {Array<Array<Object>>} groups
+ * @return {string}
+ */
+export function stringifyFilters(groups) {
+  return groups
+      .map((group) => group
+          .filter(({name}) => name)
+          .map(({name, operator, value}) => name + operator + escape(value))
+          .join(','))
+      .filter(Boolean)
+      .join(';');
+}
+
+/**
+ * Converts filter groups into Reporting API (v4) filter clauses, where each
+ * clause is an OR group and the clauses are combined with AND.
+ * @param {Array<Array<Object>>} groups
+ * @return {{dimensionFilterClauses: Array, metricFilterClauses: Array}}
+ */
+export function toFilterClauses(groups) {
+  const dimensionFilterClauses = [];
+  const metricFilterClauses = [];
+
+  for (const group of groups) {
+    const filters = group.map(({name, operator, value, isMetric}) => {
+      const {not} = OPERATORS[operator];
+      return isMetric ? {
+        metricName: name,
+        not: Boolean(not),
+        operator: OPERATORS[operator].metric,
+        comparisonValue: value,
+      } : {
+        dimensionName: name,
+        not: Boolean(not),
+        operator: OPERATORS[operator].dimension,
+        expressions: [value],
+      };
+    });
+
+    const clause = {operator: 'OR', filters};
+    if (group[0].isMetric) {
+      metricFilterClauses.push(clause);
+    } else {
+      dimensionFilterClauses.push(clause);
+    }
+  }
+  return {dimensionFilterClauses, metricFilterClauses};
+}
+
+function toGA4Expression({name, operator, value, isMetric}) {
+  const {not} = OPERATORS[operator];
+  const expression = {
+    filter: isMetric ? {
+      fieldName: name,
+      numericFilter: {
+        operation: OPERATORS[operator].metric,
+        value: {doubleValue: Number(value)},
+      },
+    } : {
+      fieldName: name,
+      stringFilter: {
+        matchType: GA4_MATCH_TYPES[OPERATORS[operator].dimension],
+        value,
+      },
+    },
+  };
+  return not ? {notExpression: expression} : expression;
+}
+
+/**
+ * Converts filter groups into Data API filter expressions, to be combined
+ * in an `andGroup` of the request's dimension and metric filters.
+ * @param {Array<Array<Object>>} groups
+ * @return {{dimensionExpressions: Array, metricExpressions: Array}}
+ */
+export function toGA4FilterExpressions(groups) {
+  const dimensionExpressions = [];
+  const metricExpressions = [];
+
+  for (const group of groups) {
+    const expression = group.length === 1 ?
+        toGA4Expression(group[0]) :
+        {orGroup: {expressions: group.map(toGA4Expression)}};
+
+    if (group[0].isMetric) {
+      metricExpressions.push(expression);
+    } else {
+      dimensionExpressions.push(expression);
+    }
+  }
+  return {dimensionExpressions, metricExpressions};
+}
@@ -0,0 +1,87 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The metrics included in the report, in the order they're displayed.
+ */
+export const METRICS = ['LCP', 'FID', 'CLS', 'INP', 'FCP', 'TTFB'];
+
+/**
+ * The TTFB sub-parts, in the order they're sent in the `navigation_timing`
+ * event parameter (see `analytics.js`).
+ */
+export const TTFB_PARTS = ['dns', 'connect', 'request', 'response'];
+
+/**
+ * Returns the key of the advanced option that stores the name the metric's
+ * events are sent with (e.g. `lcpName`).
+ * @param {string} metric
+ * @return {string}
+ */
+export function getMetricNameOpt(metric) {
+  return `${metric.toLowerCase()}Name`;
+}
+
+/**
+ * The default "good" and "poor" thresholds for each metric, see:
+ * https://web.dev/vitals/#core-web-vitals
+ * These are shared by the report scoring and the app's own measurement.
+ */
+export const THRESHOLDS = {
+  LCP: [2500, 4000],
+  FID: [100, 300],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800],
+};
+
+/**
+ * Merges per-view threshold overrides with the defaults. Overrides that
+ * aren't valid (e.g. a "good" threshold above the "poor" one) are ignored.
+ * @param {Object} [overrides]
+ * @return {Object}
+ */
+export function getThresholds(overrides = {}) {
+  const thresholds = {...THRESHOLDS};
+  for (const [metric, [good, poor]] of Object.entries(overrides)) {
+    if (Object.prototype.hasOwnProperty.call(THRESHOLDS, metric) &&
+        Number.isFinite(good) && Number.isFinite(poor) && good <= poor) {
+      thresholds[metric] = [good, poor];
+    }
+  }
+  return thresholds;
+}
+
+/**
+ * Returns the rating (`good`, `ni`, or `poor`) for a value, or `unknown`
+ * if the value isn't a number (e.g. when there's insufficient data).
+ * @param {number} value
+ * @param {Array<number>} thresholds The "good" and "poor" thresholds.
+ * @return {string}
+ */
+export function getRating(value, thresholds) {
+  if (value <= thresholds[0]) {
+    return 'good';
+  }
+  if (value <= thresholds[1]) {
+    return 'ni';
+  }
+  if (value > thresholds[1]) {
+    return 'poor';
+  }
+  return 'unknown';
+}
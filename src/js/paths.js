@@ -0,0 +1,191 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {WebVitalsError} from './WebVitalsError.js';
+
+
+/**
+ * The options for how trailing slashes are normalized.
+ */
+export const TRAILING_SLASH_OPTS = [
+  ['', 'Keep as is'],
+  ['remove', 'Remove trailing slashes'],
+  ['add', 'Add trailing slashes'],
+];
+
+/**
+ * Returns true if the passed rules would change any paths.
+ * @param {Object} rules
+ * @return {boolean}
+ */
+export function hasPathRules(rules) {
+  return Boolean(rules.stripQueryString || rules.trailingSlash ||
+      rules.rewrites.some(({pattern, template}) => pattern && template));
+}
+
+/**
+ * Converts page path grouping rules into a list of functions, one for each
+ * rule, that return the normalized path (or `null` if the rule doesn't
+ * apply to the path). Rules are applied in order: the query string is
+ * stripped first, then trailing slashes are normalized, and then the path
+ * is replaced by the template of the first rewrite whose pattern matches it
+ * (with `$1`, `$2`, etc. replaced by the pattern's capture groups). Rewrites
+ * without a pattern or template (e.g. ones still being added in the form)
+ * are skipped.
+ * @param {{
+ *   stripQueryString: boolean,
+ *   trailingSlash: string,
+ *   rewrites: Array<{pattern: string, template: string}>,
+ * }} rules
+ * @return {Array<{
+ *   name: string,
+ *   isRewrite: boolean,
+ *   apply: function(string): ?string,
+ * }>}
+ */
+export function compilePathRules(rules) {
+  const compiledRules = [];
+
+  if (rules.stripQueryString) {
+    compiledRules.push({
+      name: 'Strip query strings',
+      isRewrite: false,
+      apply: (path) => {
+        const index = path.search(/[?#]/);
+        return index > -1 ? path.slice(0, index) : null;
+      },
+    });
+  }
+
+  if (rules.trailingSlash === 'remove') {
+    compiledRules.push({
+      name: 'Remove trailing slashes',
+      isRewrite: false,
+      apply: (path) => {
+        return path.length > 1 && path.endsWith('/') ?
+            path.replace(/\/+$/, '') || '/' : null;
+      },
+    });
+  } else if (rules.trailingSlash === 'add') {
+    compiledRules.push({
+      name: 'Add trailing slashes',
+      isRewrite: false,
+      // Paths that look like files (e.g. `/feed.xml`) are left as is.
+      apply: (path) => /\/$|\.[^/]+$/.test(path) ? null : path + '/',
+    });
+  }
+
+  for (const {pattern, template} of rules.rewrites) {
+    if (pattern && template) {
+      let regExp;
+      try {
+        regExp = new RegExp(pattern);
+      } catch (error) {
+        throw new WebVitalsError('invalid_path_rule', pattern, error.message);
+      }
+      compiledRules.push({
+        name: pattern,
+        isRewrite: true,
+        apply: (path) => {
+          const match = path.match(regExp);
+          return match ? template.replace(/\$(\d+)/g, (_, group) => {
+            return match[group] || '';
+          }) : null;
+        },
+      });
+    }
+  }
+
+  return compiledRules;
+}
+
+/**
+ * Returns a function that normalizes a page path using the passed rules.
+ * Results are memoized since reports have many rows for each path.
+ * @param {Object} rules See `compilePathRules()`.
+ * @return {function(string): string}
+ */
+export function createPathNormalizer(rules) {
+  const compiledRules = compilePathRules(rules);
+  const cache = new Map();
+
+  return (path) => {
+    let normalizedPath = cache.get(path);
+    if (normalizedPath === undefined) {
+      normalizedPath = path;
+      for (const rule of compiledRules) {
+        const result = rule.apply(normalizedPath);
+        if (result !== null) {
+          normalizedPath = result;
+          // Only the first matching rewrite is applied.
+          if (rule.isRewrite) {
+            break;
+          }
+        }
+      }
+      cache.set(path, normalizedPath);
+    }
+    return normalizedPath;
+  };
+}
+
+/**
+ * Returns how each rule would affect the passed (raw) paths: the number of
+ * distinct paths the rule changes, and the number of routes they collapse
+ * into. Each rule is applied to the output of the rules before it, except
+ * that paths already rewritten aren't matched by later rewrites.
+ * @param {Array<string>} paths
+ * @param {Object} rules See `compilePathRules()`.
+ * @return {{
+ *   rules: Array<{name: string, paths: number, routes: number}>,
+ *   paths: number,
+ *   routes: number,
+ * }}
+ */
+export function getPathRulesPreview(paths, rules) {
+  let currentPaths = new Set(paths);
+  const rewrittenPaths = new Set();
+  const preview = [];
+
+  for (const {name, isRewrite, apply} of compilePathRules(rules)) {
+    const nextPaths = new Set();
+    const routes = new Set();
+    let changedPaths = 0;
+
+    for (const path of currentPaths) {
+      const normalizedPath = apply(path);
+      if (normalizedPath === null) {
+        nextPaths.add(path);
+      } else {
+        routes.add(normalizedPath);
+        changedPaths++;
+        if (isRewrite) {
+          rewrittenPaths.add(normalizedPath);
+        } else {
+          nextPaths.add(normalizedPath);
+        }
+      }
+    }
+    preview.push({name, paths: changedPaths, routes: routes.size});
+    currentPaths = nextPaths;
+  }
+
+  return {
+    rules: preview,
+    paths: new Set(paths).size,
+    routes: new Set([...currentPaths, ...rewrittenPaths]).size,
+  };
+}
@@ -0,0 +1,200 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {WebVitalsError} from './WebVitalsError.js';
+
+
+/**
+ * Google APIs recommend retrying rate limit and transient server errors
+ * using exponential backoff (with jitter):
+ * https://developers.google.com/analytics/devguides/reporting/core/v4/errors
+ */
+export const RETRY_DEFAULTS = {
+  maxRetries: 5,
+  baseDelay: 1000,
+  maxDelay: 32000,
+};
+
+// Error reasons for limits that reset within seconds (e.g. requests per
+// 100 seconds, or concurrent requests), so the request can be retried.
+const RATE_LIMIT_REASONS = new Set([
+  'rateLimitExceeded',
+  'userRateLimitExceeded',
+  'quotaExceeded',
+  'RATE_LIMIT_EXCEEDED',
+]);
+
+/**
+ * Returns the error reasons in an API error response. Older APIs (e.g. the
+ * Reporting API) list them in `errors`, newer ones (e.g. the Data API) in
+ * the `details` of the error.
+ * @param {Object} error
+ * @return {Array<string>}
+ */
+function getErrorReasons(error) {
+  return [...(error.errors || []), ...(error.details || [])]
+      .map(({reason}) => reason)
+      .filter(Boolean);
+}
+
+function isDailyQuotaError(status, error) {
+  if (getErrorReasons(error).includes('dailyLimitExceeded')) {
+    return true;
+  }
+  // Quota errors from the newer APIs don't have a specific reason, so the
+  // only way to tell a daily limit apart is by the message.
+  return (status === 403 || status === 429) && /per day/i.test(error.message);
+}
+
+function isRetryableError(status, error) {
+  if (status === 429 || status >= 500) {
+    return true;
+  }
+  return status === 403 &&
+      getErrorReasons(error).some((reason) => RATE_LIMIT_REASONS.has(reason));
+}
+
+/**
+ * Parses a `Retry-After` header value, which can either be a number of
+ * seconds or an HTTP date.
+ * @param {?string} value
+ * @return {?number} The delay in milliseconds, or null if not set.
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function getRetryDelay(attempt, response, {baseDelay, maxDelay}) {
+  // A `Retry-After` delay is capped like any other delay, so a server can't
+  // stall the report indefinitely.
+  const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+  if (retryAfter !== null) {
+    return Math.min(maxDelay, retryAfter);
+  }
+  return Math.min(maxDelay, baseDelay * 2 ** attempt) +
+      Math.round(Math.random() * baseDelay);
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(new DOMException('Request aborted', 'AbortError'));
+    };
+    const timeout = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, {once: true});
+      }
+    }
+  });
+}
+
+/**
+ * Returns the parsed JSON body of a response, or `null` if it isn't JSON.
+ * @param {Response} response
+ * @return {Promise<?Object>}
+ */
+async function readJSON(response) {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetches the passed URL and returns the parsed JSON response. Rate limit,
+ * quota, and server errors are retried (honoring any `Retry-After` header,
+ * up to the maximum delay), and running out of daily quota throws a
+ * `quota_exceeded` error. A successful response that isn't JSON throws an
+ * `invalid_api_response` error. Any other errors are thrown as
+ * `"${code}: ${message}"`.
+ *
+ * If a `throttle` is passed, a slot is acquired from it before each attempt
+ * and released as soon as the response is read, so a request waiting to be
+ * retried doesn't hold up other requests.
+ *
+ * The retry options can be overridden, e.g. to test against a local
+ * endpoint without waiting for the default delays.
+ * @param {string|URL} url
+ * @param {Object} [init] The `fetch()` options, including any `signal`.
+ * @param {Object} [retryOpts] See `RETRY_DEFAULTS`.
+ * @param {{
+ *   acquire: function(AbortSignal): Promise,
+ *   release: function(): void,
+ * }} [throttle]
+ * @return {Promise<Object>}
+ */
+export async function fetchJSONWithRetry(
+    url, init = {}, retryOpts = {}, throttle = null) {
+  const opts = {...RETRY_DEFAULTS, ...retryOpts};
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    let json;
+    if (throttle) {
+      await throttle.acquire(init.signal);
+    }
+    try {
+      response = await fetch(url, init);
+      json = await readJSON(response);
+    } finally {
+      if (throttle) {
+        throttle.release();
+      }
+    }
+
+    if (response.ok) {
+      if (json === null) {
+        throw new WebVitalsError('invalid_api_response', response.status);
+      }
+      return json;
+    }
+
+    // Some server errors (e.g. 502s from a proxy) don't have a JSON body.
+    json = json || {};
+
+    const error = json.error ||
+        {code: response.status, message: response.statusText};
+
+    if (isDailyQuotaError(response.status, error)) {
+      throw new WebVitalsError('quota_exceeded');
+    }
+    if (attempt >= opts.maxRetries ||
+        !isRetryableError(response.status, error)) {
+      throw new Error(`${error.code}: ${error.message}`);
+    }
+    await wait(getRetryDelay(attempt, response, opts), init.signal);
+  }
+}
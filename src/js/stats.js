@@ -0,0 +1,203 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The percentiles that can be selected for the report.
+ */
+export const PERCENTILES = [50, 75, 90, 95, 99];
+
+/**
+ * The percentiles shown together when the multi-percentile display is on.
+ */
+export const DISPLAY_PERCENTILES = [50, 75, 90, 99];
+
+/**
+ * Returns the value at the passed percentile. Note: `values` must be sorted.
+ * @param {number} percentile
+ * @param {Array<number>} values
+ * @return {number}
+ */
+export function p(percentile, values) {
+  return values[Math.floor((values.length) * (percentile / 100))];
+}
+
+/**
+ * Returns the minimum number of values needed to report a percentile,
+ * which is the number that ensures at least two values are above it
+ * (e.g. 9 values for p75, 21 for p90, and 201 for p99).
+ * @param {number} percentile
+ * @return {number}
+ */
+export function getMinSamples(percentile) {
+  return Math.ceil(200 / (100 - percentile)) + 1;
+}
+
+// The z-score for a two-sided 95% confidence level.
+const Z_95 = 1.96;
+
+/**
+ * Returns the ranks (i.e. indexes into the sorted values) of the bounds of
+ * a distribution-free 95% confidence interval for the passed percentile,
+ * which are the order statistics whose ranks bound the percentile's rank
+ * (using the normal approximation to the binomial distribution).
+ * @param {number} percentile
+ * @param {number} n The number of values.
+ * @return {Array<number>} The lower and upper ranks.
+ */
+export function getConfidenceIntervalRanks(percentile, n) {
+  const q = percentile / 100;
+  const spread = Z_95 * Math.sqrt(n * q * (1 - q));
+
+  const lower = Math.max(Math.floor(n * q - spread), 0);
+  const upper = Math.min(Math.ceil(n * q + spread), n - 1);
+  return [lower, upper];
+}
+
+/**
+ * Returns a distribution-free 95% confidence interval for the passed
+ * percentile (see `getConfidenceIntervalRanks()`).
+ * Note: `values` must be sorted.
+ * @param {number} percentile
+ * @param {Array<number>} values
+ * @return {Array<number>} The lower and upper bounds.
+ */
+export function getConfidenceInterval(percentile, values) {
+  const [lower, upper] =
+      getConfidenceIntervalRanks(percentile, values.length);
+  return [values[lower], values[upper]];
+}
+
+function countBelow(values, value, start, end, orEqual) {
+  while (start < end) {
+    const mid = (start + end) >>> 1;
+    if (values[mid] < value || (orEqual && values[mid] === value)) {
+      start = mid + 1;
+    } else {
+      end = mid;
+    }
+  }
+  return start;
+}
+
+/**
+ * Returns the value with the passed rank in the union of several sorted
+ * arrays, without merging them (as a window of days can have far more
+ * values than is practical to copy and sort for each candidate date).
+ * @param {Array<Array<number>>} arrays
+ * @param {number} rank The zero-based rank.
+ * @return {number}
+ */
+function getValueAtRank(arrays, rank) {
+  let ranges = arrays.map((values) => [0, values.length]);
+
+  for (;;) {
+    // Use the middle value of the largest remaining range as the pivot, so
+    // each iteration at least halves that range.
+    let pivotIndex = 0;
+    for (let i = 1; i < ranges.length; i++) {
+      if (ranges[i][1] - ranges[i][0] >
+          ranges[pivotIndex][1] - ranges[pivotIndex][0]) {
+        pivotIndex = i;
+      }
+    }
+    const [start, end] = ranges[pivotIndex];
+    const pivot = arrays[pivotIndex][(start + end) >>> 1];
+
+    let lessCount = 0;
+    let lessOrEqualCount = 0;
+    const bounds = ranges.map(([start, end], i) => {
+      const less = countBelow(arrays[i], pivot, start, end, false);
+      const lessOrEqual = countBelow(arrays[i], pivot, start, end, true);
+      lessCount += less - start;
+      lessOrEqualCount += lessOrEqual - start;
+      return [less, lessOrEqual];
+    });
+
+    if (rank < lessCount) {
+      ranges = ranges.map(([start], i) => [start, bounds[i][0]]);
+    } else if (rank < lessOrEqualCount) {
+      return pivot;
+    } else {
+      rank -= lessOrEqualCount;
+      ranges = ranges.map(([, end], i) => [bounds[i][1], end]);
+    }
+  }
+}
+
+/**
+ * Returns the percentile and its confidence interval for the combined
+ * values of several days, or `null` if there aren't enough values. This is
+ * equivalent to `p()` and `getConfidenceInterval()` on the merged values.
+ * @param {Array<Array<number>>} dayValues The (sorted) values of each day.
+ * @param {number} percentile
+ * @return {?{value: number, interval: Array<number>, count: number}}
+ */
+export function getPooledPercentile(dayValues, percentile) {
+  const count = dayValues.reduce((total, values) => total + values.length, 0);
+  if (count < getMinSamples(percentile)) {
+    return null;
+  }
+  const rank = Math.floor(count * (percentile / 100));
+  return {
+    value: getValueAtRank(dayValues, rank),
+    interval: getConfidenceIntervalRanks(percentile, count)
+        .map((r) => getValueAtRank(dayValues, r)),
+    count,
+  };
+}
+
+/**
+ * Returns true if two percentile values differ significantly (at the 95%
+ * confidence level), given their confidence intervals. The standard error
+ * of each value is estimated from the width of its confidence interval.
+ * @param {number} valueA
+ * @param {Array<number>} intervalA
+ * @param {number} valueB
+ * @param {Array<number>} intervalB
+ * @return {boolean}
+ */
+export function isSignificantChange(valueA, intervalA, valueB, intervalB) {
+  const [lowerA, upperA] = intervalA;
+  const [lowerB, upperB] = intervalB;
+
+  const standardError = Math.sqrt(
+      ((upperA - lowerA) / (2 * Z_95)) ** 2 +
+      ((upperB - lowerB) / (2 * Z_95)) ** 2);
+
+  const difference = Math.abs(valueA - valueB);
+
+  // If neither interval has any width (e.g. lots of identical values),
+  // any difference at all is significant.
+  if (standardError === 0) {
+    return difference > 0;
+  }
+  return difference / standardError > Z_95;
+}
+
+/**
+ * Returns true if the passed percentile differs significantly (at the 95%
+ * confidence level) between two sets of values.
+ * Note: both `valuesA` and `valuesB` must be sorted.
+ * @param {number} percentile
+ * @param {Array<number>} valuesA
+ * @param {Array<number>} valuesB
+ * @return {boolean}
+ */
+export function isSignificantDifference(percentile, valuesA, valuesB) {
+  return isSignificantChange(
+      p(percentile, valuesA), getConfidenceInterval(percentile, valuesA),
+      p(percentile, valuesB), getConfidenceInterval(percentile, valuesB));
+}
@@ -55,6 +55,31 @@ export function getDatesInRange(startDate, endDate) {
   return dates;
 }
 
+/**
+ * Accepts a report's start and end dates (YYYY-MM-DD) and returns the date
+ * range to compare it to, which is either the period of the same length
+ * immediately before it (`previous`) or the same period a year earlier
+ * (`year`).
+ * @param {string} startDate
+ * @param {string} endDate
+ * @param {string} compareTo
+ * @return {{startDate: string, endDate: string}}
+ */
+export function getComparisonDateRange(startDate, endDate, compareTo) {
+  if (compareTo === 'year') {
+    const shiftYear = (d) => {
+      const date = new Date(d);
+      date.setUTCFullYear(date.getUTCFullYear() - 1);
+      return toDateString(date);
+    };
+    return {startDate: shiftYear(startDate), endDate: shiftYear(endDate)};
+  }
+
+  const offset = getDatesInRange(startDate, endDate).length * DAY;
+  const shiftPeriod = (d) => toDateString(new Date(new Date(d) - offset));
+  return {startDate: shiftPeriod(startDate), endDate: shiftPeriod(endDate)};
+}
+
 /**
  * Escapes an untrusted HTML string.
  * @param {string} unsafe
@@ -69,22 +94,6 @@ export function e(unsafe) {
       .replace(/'/g, '&#039;');
 }
 
-export function mergeSortedArrays(r1, r2, getValue) {
-  const merged = [];
-  let i1 = 0;
-  let i2 = 0;
-
-  while (merged.length < r1.length + r2.length) {
-    if (i1 < r1.length &&
-       (i2 >= r2.length || getValue(r1[i1]) < getValue(r2[i2]))) {
-      merged.push(r1[i1++]);
-    } else {
-      merged.push(r2[i2++]);
-    }
-  }
-  return merged;
-}
-
 export class Deferred {
   constructor() {
     this.promise = new Promise((resolve, reject) => {
@@ -111,6 +120,36 @@ export async function hashObj(obj) {
   return hashArray.map((b) => b.toString(16).padStart(2, '0')).join('');
 }
 
+/**
+ * Prompts the user to save the passed content as a file.
+ * @param {string} filename
+ * @param {BlobPart} content
+ * @param {string} type The MIME type of the file.
+ */
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], {type}));
+  const $link = document.createElement('a');
+  $link.href = url;
+  $link.download = filename;
+  $link.click();
+
+  // Revoking the URL synchronously can cancel the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Returns a string that spreadsheet apps won't interpret as a formula, by
+ * prefixing strings that start with a formula character with an apostrophe.
+ * Exported values (e.g. page paths) can come from any analytics hit, so
+ * they can't be trusted not to contain formulas.
+ * @param {*} value
+ * @return {*} The escaped string, or the value if it's not a string.
+ */
+export function escapeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ?
+      `'${value}` : value;
+}
+
 export function round(num, decimalPlaces) {
   const multiplier = Math.pow(10, decimalPlaces);
   return Math.round(num * multiplier) / multiplier;
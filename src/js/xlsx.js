@@ -0,0 +1,293 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {escapeFormula} from './utils.js';
+
+
+/**
+ * A minimal XLSX (Office Open XML spreadsheet) writer, which supports just
+ * what the report export needs: one sheet per table, with string and number
+ * cells and a bold header row. The parts are stored in the ZIP container
+ * without compression, so no compression library is needed.
+ */
+
+const encoder = new TextEncoder();
+
+const XML_DECLARATION =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+const NS = {
+  main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+  contentTypes:
+      'http://schemas.openxmlformats.org/package/2006/content-types',
+  rels: 'http://schemas.openxmlformats.org/package/2006/relationships',
+  docRels:
+      'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+};
+
+const TYPES = {
+  rels: 'application/vnd.openxmlformats-package.relationships+xml',
+  workbook: 'application/vnd.openxmlformats-officedocument.' +
+      'spreadsheetml.sheet.main+xml',
+  styles: 'application/vnd.openxmlformats-officedocument.' +
+      'spreadsheetml.styles+xml',
+  worksheet: 'application/vnd.openxmlformats-officedocument.' +
+      'spreadsheetml.worksheet+xml',
+};
+
+let crcTable;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Returns a ZIP archive of the passed files, with each file stored (i.e.
+ * not compressed).
+ * @param {Array<{name: string, content: string}>} files
+ * @return {Uint8Array}
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const content = encoder.encode(file.content);
+    const crc = crc32(content);
+
+    // The fields shared by the local file header and the central directory
+    // entry, from the "version needed" field to the file name length.
+    // The modification date is fixed to 1980-01-01 (the earliest DOS date).
+    const common = new DataView(new ArrayBuffer(26));
+    common.setUint16(0, 20, true); // Version needed (2.0).
+    common.setUint16(2, 0x0800, true); // Flags (UTF-8 file names).
+    common.setUint16(4, 0, true); // Compression method (stored).
+    common.setUint16(6, 0, true); // Modification time.
+    common.setUint16(8, (1 << 5) | 1, true); // Modification date.
+    common.setUint32(10, crc, true);
+    common.setUint32(14, content.length, true); // Compressed size.
+    common.setUint32(18, content.length, true); // Uncompressed size.
+    common.setUint16(22, name.length, true);
+    common.setUint16(24, 0, true); // Extra field length.
+
+    const local = new DataView(new ArrayBuffer(4));
+    local.setUint32(0, 0x04034b50, true);
+    localParts.push(local, common, name, content);
+
+    const central = new DataView(new ArrayBuffer(6));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // Version made by.
+    // The comment length, disk number, and file attributes are all zero.
+    const centralEnd = new DataView(new ArrayBuffer(14));
+    centralEnd.setUint32(10, offset, true); // Local file header offset.
+    centralParts.push(central, common, centralEnd, name);
+
+    offset += 4 + common.byteLength + name.length + content.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => {
+    return size + part.byteLength;
+  }, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true); // Entries on this disk.
+  end.setUint16(10, files.length, true); // Total entries.
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, end];
+  const zip = new Uint8Array(offset + centralSize + end.byteLength);
+  let position = 0;
+  for (const part of parts) {
+    const bytes = part instanceof DataView ?
+        new Uint8Array(part.buffer) : part;
+    zip.set(bytes, position);
+    position += bytes.length;
+  }
+  return zip;
+}
+
+// Returns true if the code point is allowed in XML (1.0) documents.
+function isXMLChar(codePoint) {
+  return codePoint === 0x9 || codePoint === 0xA || codePoint === 0xD ||
+      (codePoint >= 0x20 && codePoint <= 0xD7FF) ||
+      (codePoint >= 0xE000 && codePoint <= 0xFFFD) ||
+      codePoint >= 0x10000;
+}
+
+function escapeXML(value) {
+  return [...String(value)]
+      .filter((char) => isXMLChar(char.codePointAt(0)))
+      .join('')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+}
+
+function getColumnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function getCellXML(value, ref, style) {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${
+    escapeXML(escapeFormula(value))}</t></is></c>`;
+}
+
+function getSheetXML({columns, rows}) {
+  // The header row uses the bold cell style (index 1 in `styles.xml`).
+  const rowsXML = [columns, ...rows].map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const ref = `${getColumnName(columnIndex)}${rowIndex + 1}`;
+      return getCellXML(value, ref, rowIndex === 0 ? 1 : 0);
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  return XML_DECLARATION + `<worksheet xmlns="${NS.main}">` +
+      `<sheetData>${rowsXML.join('')}</sheetData></worksheet>`;
+}
+
+/**
+ * Returns valid and unique sheet names for the passed names, as sheet
+ * names can be at most 31 characters and can't contain `[]:*?/\`.
+ * @param {Array<string>} names
+ * @return {Array<string>}
+ */
+function getSheetNames(names) {
+  const usedNames = new Set();
+  return names.map((name) => {
+    const baseName = name.replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet';
+    let sheetName = baseName.slice(0, 31).trim();
+    for (let i = 2; usedNames.has(sheetName.toLowerCase()); i++) {
+      const suffix = ` (${i})`;
+      sheetName = baseName.slice(0, 31 - suffix.length).trim() + suffix;
+    }
+    usedNames.add(sheetName.toLowerCase());
+    return sheetName;
+  });
+}
+
+const STYLES_XML = XML_DECLARATION + `<styleSheet xmlns="${NS.main}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+    '<fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/>' +
+    '</border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" ' +
+    'borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" ' +
+    'borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" ' +
+    'borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '</styleSheet>';
+
+/**
+ * Returns an XLSX workbook with a sheet for each of the passed tables.
+ * @param {Array<{
+ *   name: string,
+ *   columns: Array<string>,
+ *   rows: Array<Array<?(string|number)>>,
+ * }>} tables
+ * @return {Uint8Array}
+ */
+export function createXLSX(tables) {
+  const sheetNames = getSheetNames(tables.map(({name}) => name));
+  const sheets = tables.map((table, i) => {
+    return {name: sheetNames[i], path: `worksheets/sheet${i + 1}.xml`};
+  });
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: XML_DECLARATION +
+          `<Types xmlns="${NS.contentTypes}">` +
+          `<Default Extension="rels" ContentType="${TYPES.rels}"/>` +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ' +
+          `ContentType="${TYPES.workbook}"/>` +
+          '<Override PartName="/xl/styles.xml" ' +
+          `ContentType="${TYPES.styles}"/>` +
+          sheets.map(({path}) => {
+            return `<Override PartName="/xl/${path}" ` +
+                `ContentType="${TYPES.worksheet}"/>`;
+          }).join('') +
+          '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: XML_DECLARATION +
+          `<Relationships xmlns="${NS.rels}">` +
+          `<Relationship Id="rId1" Type="${NS.docRels}/officeDocument" ` +
+          'Target="xl/workbook.xml"/></Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: XML_DECLARATION +
+          `<workbook xmlns="${NS.main}" xmlns:r="${NS.docRels}"><sheets>` +
+          sheets.map(({name}, i) => {
+            return `<sheet name="${escapeXML(name)}" sheetId="${i + 1}" ` +
+                `r:id="rId${i + 1}"/>`;
+          }).join('') +
+          '</sheets></workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: XML_DECLARATION +
+          `<Relationships xmlns="${NS.rels}">` +
+          sheets.map(({path}, i) => {
+            return `<Relationship Id="rId${i + 1}" ` +
+                `Type="${NS.docRels}/worksheet" Target="${path}"/>`;
+          }).join('') +
+          `<Relationship Id="rId${sheets.length + 1}" ` +
+          `Type="${NS.docRels}/styles" Target="styles.xml"/>` +
+          '</Relationships>',
+    },
+    {name: 'xl/styles.xml', content: STYLES_XML},
+    ...tables.map((table, i) => {
+      return {name: `xl/${sheets[i].path}`, content: getSheetXML(table)};
+    }),
+  ]);
+}
@@ -16,15 +16,22 @@
 
 import {html, render} from 'lit-html';
 import {addAlert} from './js/alerts.js';
-import {initAnalytics, measureReport} from './js/analytics.js';
-import {getAccountSummaries, getSegments} from './js/api.js';
+import {initAnalytics, measureCaughtError, measureReport} from './js/analytics.js';
+import {getAccountSummaries, getGA4AccountSummaries, getGA4Segments, getSegmentNameById, getSegments, isGA4Property, isGA4Segment} from './js/api.js';
 import {checkAuthStatus, getAuthInstance, onSignInChange, userIsSignedIn} from './js/auth.js';
+import {evaluateBudgets, getValidBudgets} from './js/budgets.js';
+import {clearCachedData, getCacheBudget, getCacheSummary, getStorageEstimate, purgeCachedData, setCacheBudget, setDBErrorReporter} from './js/cache.js';
 import {renderCharts} from './js/charts.js';
-import {getWebVitalsData} from './js/data.js';
+import {getDefaultBreakdowns, getPageDimension, getWebVitalsData} from './js/data.js';
+import {parseFilters, stringifyFilters} from './js/filters.js';
+import {getMetricNameOpt, METRICS, THRESHOLDS} from './js/metrics.js';
+import {createPathNormalizer, getPathRulesPreview, hasPathRules, TRAILING_SLASH_OPTS} from './js/paths.js';
 import {progress} from './js/Progress.js';
 import {initState, getState, setState, addChangeListener} from './js/state.js';
+import {DISPLAY_PERCENTILES, PERCENTILES} from './js/stats.js';
 import {set} from './js/store.js';
-import {dateOffset, getDatesInRange, nextFrame, round, timeout} from './js/utils.js';
+import {dateOffset, getComparisonDateRange, getDatesInRange, nextFrame, round, timeout} from './js/utils.js';
+import {WebVitalsError} from './js/WebVitalsError.js';
 
 
 const windowLoaded = new Promise((resolve) => {
@@ -38,6 +45,11 @@ const data = {
     ['28', 'Last 28 days'],
     ['-1', 'Custom range'],
   ],
+  compareToOpts: [
+    ['', 'No comparison'],
+    ['previous', 'Previous period'],
+    ['year', 'Same period last year'],
+  ],
   segmentsRecommendedOpts: [
     ['-15,-14', 'Desktop Traffic vs Mobile Traffic'],
     ['-2,-3', 'New Users vs. Returning Users'],
@@ -45,28 +57,101 @@ const data = {
     ['-102,-103', 'Converters vs. Non-converters'],
     ['', 'Choose segments'],
   ],
+  percentileOpts: PERCENTILES.map((p) => [String(p), `p${p}`]),
+  granularityOpts: [
+    ['day', 'Daily'],
+    ['week', 'Weekly'],
+    ['month', 'Monthly'],
+  ],
+  filterOperatorOpts: [
+    ['==', 'equals'],
+    ['!=', 'does not equal'],
+    ['=@', 'contains'],
+    ['!@', 'does not contain'],
+    ['=~', 'matches regex'],
+    ['!~', 'does not match regex'],
+    ['>', 'greater than (event value only)'],
+    ['>=', 'at least (event value only)'],
+    ['<', 'less than (event value only)'],
+    ['<=', 'at most (event value only)'],
+  ],
 };
 
-function validateOpts(opts = {}) {
-  return {
-    active: false,
+// The last rendered report, so it can be re-rendered without re-fetching
+// the data when a display option (e.g. the percentile) changes.
+let lastReport;
+
+function validateOpts(opts = {}, viewId) {
+  // GA4 properties use event parameters (registered as custom dimensions)
+  // rather than the Universal Analytics event fields.
+  const dimensionDefaults = isGA4Property(viewId) ? {
+    metricNameDim: 'eventName',
+    metricIdDim: 'customEvent:metric_id',
+  } : {
     metricNameDim: 'ga:eventAction',
     metricIdDim: 'ga:eventLabel',
+  };
+
+  // Views saved before more than one debug dimension could be set have a
+  // single `debugDim` option instead.
+  const {debugDim, ...otherOpts} = opts;
+
+  return {
+    active: false,
+    ...dimensionDefaults,
     category: 'Web Vitals',
     lcpName: 'LCP',
     fidName: 'FID',
     clsName: 'CLS',
     inpName: 'INP',
+    fcpName: 'FCP',
+    ttfbName: 'TTFB',
     filters: '',
-    debugDim: '',
-    ...opts,
+    debugDims: debugDim ?
+        [{dimension: debugDim, label: 'Debug identifier'}] : [],
+    ttfbTimingDim: '',
+    thresholds: {},
+    breakdowns: getDefaultBreakdowns(viewId),
+    pathRules: {stripQueryString: false, trailingSlash: '', rewrites: []},
+    budgets: [],
+    ...otherOpts,
   };
 }
 
 async function initViewOpts() {
   let {viewId} = getState();
   const viewOpts = {};
-  const accountSummaries = await getAccountSummaries();
+
+  // Users may only have access to one type of property, so an error from
+  // either API shouldn't prevent the other's properties from being listed.
+  const [accountSummaries, ga4AccountSummaries] = await Promise.all([
+    getAccountSummaries().catch((error) => {
+      console.error(error);
+      return [];
+    }),
+    getGA4AccountSummaries().catch((error) => {
+      console.error(error);
+      return [];
+    }),
+  ]);
+
+  for (const {displayName, propertySummaries} of ga4AccountSummaries) {
+    if (propertySummaries) {
+      const accountName = `${displayName} (GA4)`;
+      for (const {displayName: propertyName, property} of propertySummaries) {
+        if (!viewId) {
+          viewId = property;
+          setState({viewId});
+        }
+
+        viewOpts[accountName] = viewOpts[accountName] || [];
+        viewOpts[accountName].push({
+          name: propertyName,
+          id: property,
+        });
+      }
+    }
+  }
 
   for (const {name: accountName, webProperties} of accountSummaries) {
     if (webProperties) {
@@ -99,12 +184,23 @@ async function initSegmentOpts() {
     'BUILT_IN': [],
     'CUSTOM': [],
   };
-  const segments = await getSegments();
+  const ga4SegmentOpts = {
+    'BUILT_IN': [],
+    'CUSTOM': [],
+  };
+  const segments = await getSegments().catch((error) => {
+    console.error(error);
+    return [];
+  });
   for (const {type, name, id} of segments) {
     segmentOpts[type].push([id, name]);
   }
+  for (const {type, name, id} of getGA4Segments()) {
+    ga4SegmentOpts[type].push([id, name]);
+  }
 
   data.segmentOpts = segmentOpts;
+  data.ga4SegmentOpts = ga4SegmentOpts;
   queueRender();
 }
 
@@ -132,24 +228,408 @@ function onIsFetchingDataChange(newValue) {
   }
 }
 
+function getDisplayOpts(state) {
+  return {
+    percentile: Number(state.percentile),
+    showAllPercentiles: state.showAllPercentiles,
+    showConfidenceIntervals: state.showConfidenceIntervals,
+    timelineGranularity: state.timelineGranularity,
+    rollingWindowDays:
+        state.rollingWindow ?
+            Math.max(Math.floor(state.rollingWindowDays) || 1, 1) : 0,
+  };
+}
+
+async function refreshCacheInfo() {
+  try {
+    const [summary, estimate] =
+        await Promise.all([getCacheSummary(), getStorageEstimate()]);
+    data.cache = {summary, estimate};
+  } catch (error) {
+    console.error(error);
+    data.cache = null;
+  }
+  queueRender();
+}
+
+function onShowCachePanelChange(newValue) {
+  if (newValue) {
+    refreshCacheInfo();
+  }
+}
+
+function onCachePanelToggle({target}) {
+  setState({showCachePanel: target.open});
+}
+
+async function onCacheBudgetChange({target}) {
+  const budgetMB = Number(target.value);
+  if (budgetMB > 0) {
+    await setCacheBudget(budgetMB);
+    refreshCacheInfo();
+  }
+}
+
+async function onPurgeCache(selection) {
+  await (selection ? purgeCachedData(selection) : clearCachedData());
+  refreshCacheInfo();
+}
+
+function onDisplayOptsChange() {
+  if (lastReport) {
+    const {report, reportOpts} = lastReport;
+    renderCharts(report, reportOpts, getDisplayOpts(getState()));
+  }
+}
+
+function updateThresholds(opts, field, value) {
+  const [metric, index] = field.split(':').slice(1);
+  const metricThresholds =
+      [...(opts.thresholds[metric] || THRESHOLDS[metric])];
+
+  // Clearing a field reverts it to the default threshold.
+  metricThresholds[index] =
+      value === '' ? THRESHOLDS[metric][index] : Number(value);
+
+  opts.thresholds = {...opts.thresholds, [metric]: metricThresholds};
+}
+
+// The options that are lists of items, and the initial value of new items.
+const LIST_OPTS = {
+  breakdowns: {dimension: '', label: ''},
+  debugDims: {dimension: '', label: ''},
+  budgets: {metric: 'LCP', percentile: '75', threshold: '', segment: '',
+    pages: ''},
+};
+
+function updateListItem(opts, field, value) {
+  const [listName, index, key] = field.split(':');
+  opts[listName] = opts[listName].map((item, i) => {
+    return i === Number(index) ? {...item, [key]: value} : item;
+  });
+}
+
+function updateListOpt(listName, update) {
+  const state = getState();
+  const key = `opts:${state.viewId}`;
+  const opts = validateOpts(state[key], state.viewId);
+  opts[listName] = update([...opts[listName]]);
+  setState({[key]: opts});
+  queueRender();
+}
+
+function onAddListItem(listName) {
+  updateListOpt(listName, (items) => {
+    return [...items, {...LIST_OPTS[listName]}];
+  });
+}
+
+function onRemoveListItem(listName, index) {
+  updateListOpt(listName, (items) => {
+    items.splice(index, 1);
+    return items;
+  });
+}
+
+function updatePathRules(opts, field, value) {
+  const [key, index, rewriteKey] = field.split(':').slice(1);
+  const pathRules = {...opts.pathRules};
+  if (key === 'rewrites') {
+    pathRules.rewrites = pathRules.rewrites.map((rewrite, i) => {
+      return i === Number(index) ? {...rewrite, [rewriteKey]: value} : rewrite;
+    });
+  } else {
+    pathRules[key] = value;
+  }
+  opts.pathRules = pathRules;
+}
+
+function updatePathRewrites(update) {
+  const state = getState();
+  const key = `opts:${state.viewId}`;
+  const opts = validateOpts(state[key], state.viewId);
+  opts.pathRules = {
+    ...opts.pathRules,
+    rewrites: update([...opts.pathRules.rewrites]),
+  };
+  setState({[key]: opts});
+  queueRender();
+}
+
+function onAddPathRewrite() {
+  updatePathRewrites((rewrites) => {
+    return [...rewrites, {pattern: '', template: ''}];
+  });
+}
+
+function onRemovePathRewrite(index) {
+  updatePathRewrites((rewrites) => {
+    rewrites.splice(index, 1);
+    return rewrites;
+  });
+}
+
+/**
+ * Returns a preview of how the view's path rules group the page paths in
+ * the last report (if it was for the same view). The preview is memoized,
+ * as reports can have many thousands of paths and the form is re-rendered
+ * on every state change.
+ * @param {string} viewId
+ * @param {Object} pathRules
+ * @return {{preview: ?Object, error: ?Error}}
+ */
+function getPathRulesPreviewForView(viewId, pathRules) {
+  const pagePaths = lastReport && lastReport.viewId === viewId ?
+      lastReport.report.data.pagePaths : null;
+
+  const rulesJSON = JSON.stringify(pathRules);
+  const cached = data.pathRulesPreview;
+  if (!cached || cached.pagePaths !== pagePaths ||
+      cached.rulesJSON !== rulesJSON) {
+    data.pathRulesPreview = {pagePaths, rulesJSON, preview: null, error: null};
+    try {
+      if (pagePaths && hasPathRules(pathRules)) {
+        data.pathRulesPreview.preview =
+            getPathRulesPreview(pagePaths, pathRules);
+      }
+    } catch (error) {
+      data.pathRulesPreview.error = error;
+    }
+  }
+  return data.pathRulesPreview;
+}
+
+/**
+ * The filter builder edits a parsed copy of the view's filter expression, so
+ * incomplete filters (e.g. ones without a name yet) can be shown before
+ * they're added to the expression. The copy is re-parsed whenever the
+ * expression is changed some other way (e.g. by editing the text field).
+ * @param {string} filters
+ * @return {{source: string, groups: ?Array, error: ?Error}}
+ */
+function getFilterBuilder(filters) {
+  if (!data.filterBuilder || data.filterBuilder.source !== filters) {
+    data.filterBuilder = {source: filters, groups: null, error: null};
+    try {
+      data.filterBuilder.groups = parseFilters(filters);
+    } catch (error) {
+      data.filterBuilder.error = error;
+    }
+  }
+  return data.filterBuilder;
+}
+
+function updateFilters(groups) {
+  const state = getState();
+  const key = `opts:${state.viewId}`;
+  const opts = validateOpts(state[key], state.viewId);
+  opts.filters = stringifyFilters(groups);
+
+  // Keep the builder's copy, which may include incomplete filters, but
+  // validate the resulting expression.
+  data.filterBuilder = {source: opts.filters, groups, error: null};
+  try {
+    parseFilters(opts.filters);
+  } catch (error) {
+    data.filterBuilder.error = error;
+  }
+  setState({[key]: opts});
+  queueRender();
+}
+
+function updateFilterBuilder(field, value) {
+  const [groupIndex, filterIndex, key] = field.split(':').slice(1);
+  const {groups} = data.filterBuilder;
+  groups[groupIndex][filterIndex][key] = value;
+  updateFilters(groups);
+}
+
+function onAddFilter(groupIndex) {
+  const {groups} = data.filterBuilder;
+  const filter = {name: '', operator: '==', value: ''};
+  if (groupIndex === undefined) {
+    groups.push([filter]);
+  } else {
+    groups[groupIndex].push(filter);
+  }
+  updateFilters(groups);
+}
+
+function onRemoveFilter(groupIndex, filterIndex) {
+  const {groups} = data.filterBuilder;
+  groups[groupIndex].splice(filterIndex, 1);
+  updateFilters(groups.filter((group) => group.length));
+}
+
+function onResetThresholds() {
+  const state = getState();
+  const key = `opts:${state.viewId}`;
+  const opts = validateOpts(state[key], state.viewId);
+  opts.thresholds = {};
+  setState({[key]: opts});
+}
+
 function onChange({target}) {
+  const value = target.type === 'checkbox' ? target.checked : target.value;
+  if (target.id.startsWith('filter:')) {
+    updateFilterBuilder(target.id, value);
+    return;
+  }
   if (target.id.startsWith('opts:')) {
     const field = target.id.slice(5); // After the colon.
     const state = getState();
-    const value = target.type === 'checkbox' ? target.checked : target.value;
     const key = `opts:${state.viewId}`;
-    const opts = validateOpts(state[key]);
-    opts[field] = value;
+    const opts = validateOpts(state[key], state.viewId);
+    if (field.startsWith('thresholds:')) {
+      updateThresholds(opts, field, value);
+    } else if (Object.keys(LIST_OPTS).includes(field.split(':')[0])) {
+      updateListItem(opts, field, value);
+    } else if (field.startsWith('pathRules:')) {
+      updatePathRules(opts, field, value);
+    } else {
+      opts[field] = value;
+    }
     setState({[key]: opts});
   } else {
-    setState({[target.id]: target.value});
+    setState({[target.id]: value});
   }
   queueRender();
 }
 
-async function onSubmit(event) {
+async function getComparisonData(reportState, reportOpts, signal) {
+  const {startDate, endDate, compareTo} = reportState;
+  const dateRange = getComparisonDateRange(startDate, endDate, compareTo);
+  const comparison = {
+    name: compareTo === 'year' ? 'last year' : 'previous period',
+    reportStartDate: startDate,
+    ...dateRange,
+  };
+
+  try {
+    const {data} = await getWebVitalsData(
+        {...reportState, ...dateRange}, reportOpts, signal);
+
+    comparison.data = data;
+  } catch (error) {
+    // A comparison period without any data shouldn't prevent the report
+    // from rendering, it's flagged with a warning instead.
+    if (error.code !== 'no_web_vitals_events') {
+      throw error;
+    }
+    comparison.data = null;
+  }
+  return comparison;
+}
+
+// The controller for the report currently being fetched, so it can be
+// cancelled from the UI.
+let reportController;
+
+function onCancel() {
+  if (reportController) {
+    reportController.abort();
+  }
+}
+
+// The maximum number of paths a route can be expanded into when drilling
+// down, as each path is a separate filter clause in the API request.
+const MAX_DRILL_DOWN_PATHS = 100;
+
+/**
+ * Returns the raw dimension values matched by a drill-down. This is just the
+ * value itself, except for pages grouped into routes by the path rules, which
+ * match all the paths in the last report that are grouped into the route.
+ * Throws if a route has too many paths to filter by.
+ * @param {{dimension: string, value: string}} drillDown
+ * @return {Array<string>}
+ */
+function getDrillDownValues({dimension, value}) {
+  const {report, reportOpts, viewId} = lastReport;
+  if (dimension === getPageDimension(viewId) &&
+      hasPathRules(reportOpts.pathRules)) {
+    const normalizePath = createPathNormalizer(reportOpts.pathRules);
+    const paths = report.data.pagePaths.filter((path) => {
+      return normalizePath(path) === value;
+    });
+    if (paths.length > MAX_DRILL_DOWN_PATHS) {
+      throw new WebVitalsError('too_many_drill_down_paths',
+          value, paths.length, MAX_DRILL_DOWN_PATHS);
+    }
+    if (paths.length) {
+      return paths;
+    }
+  }
+  return [value];
+}
+
+function onDrillDown({detail}) {
+  const state = getState();
+  if (!lastReport || state.isFetchingData) {
+    return;
+  }
+
+  const {dimension, label, value, values} = detail;
+  const drillDown = {dimension, label, value};
+  try {
+    drillDown.values = values || getDrillDownValues(drillDown);
+  } catch (error) {
+    addAlert(error);
+    return;
+  }
+  setState({drillDown: [...state.drillDown, drillDown]});
+  runReport();
+}
+
+// Routes are filtered to the paths seen in the report they were drilled
+// into from (and selector tree nodes to each way the selector was written),
+// so the number of values is shown to make that clear.
+function renderDrillDownPaths({dimension, values}) {
+  const noun = dimension === getPageDimension(getState().viewId) ?
+      'paths' : 'values';
+  return values.length > 1 ? html`
+    <small class="Form-drillDownPaths"
+           title=${values.join('\n')}>(${values.length} ${noun})</small>
+  ` : null;
+}
+
+function onPopDrillDown(length) {
+  if (!getState().isFetchingData) {
+    setState({drillDown: getState().drillDown.slice(0, length)});
+    runReport();
+  }
+}
+
+function getReportSegments(reportState) {
+  const {segmentA, segmentB, segmentC, segmentD} = reportState;
+  return [segmentA, segmentB, segmentC, segmentD].filter(Boolean)
+      .map((id) => [id, getSegmentNameById(id)]);
+}
+
+function getBudgetReport(reportState, reportOpts, data) {
+  const {viewId, startDate, endDate} = reportState;
+  const budgets = getValidBudgets(reportOpts.budgets);
+
+  return {
+    viewId,
+    startDate,
+    endDate,
+    drillDown: reportState.drillDown.map(({label, value}) => {
+      return {label, value};
+    }),
+    budgets: evaluateBudgets(data, budgets, getReportSegments(reportState)),
+  };
+}
+
+function onViewIdChange() {
+  setState({drillDown: []});
+}
+
+function onSubmit(event) {
   event.preventDefault();
+  runReport();
+}
 
+async function runReport() {
   // Account for cases where the user kept the tab open for more than
   // a day, so the start/end dates need to be updated.
   const {dateRange} = getState();
@@ -159,12 +639,16 @@ async function onSubmit(event) {
 
   const reportState = getState();
   const viewOpts = reportState[`opts:${reportState.viewId}`];
-  const reportOpts = validateOpts(viewOpts && viewOpts.active ? viewOpts : {});
+  const reportOpts = validateOpts(
+      viewOpts && viewOpts.active ? viewOpts : {}, reportState.viewId);
   const startTime = performance.now();
 
   let report;
   let error;
 
+  reportController = new AbortController();
+  const {signal} = reportController;
+
   try {
     setState({isFetchingData: true, progress: ''});
     progress.init(() => setState({progress: `(${progress.percentage}%)`}));
@@ -173,19 +657,34 @@ async function onSubmit(event) {
     await windowLoaded;
 
     const results = await Promise.all([
-      getWebVitalsData(reportState, reportOpts),
+      getWebVitalsData(reportState, reportOpts, signal),
+      reportState.compareTo ?
+          getComparisonData(reportState, reportOpts, signal) : null,
       // Make the request at least 300ms long so the animation can complete.
       // If the animation ends too quickly it's not obvious anything happened.
       timeout(300),
     ]);
     report = results[0];
-    renderCharts(report, reportOpts);
+    report.budgets = getBudgetReport(reportState, reportOpts, report.data);
+    if (results[1]) {
+      report.comparison = results[1];
+    }
+    renderCharts(report, reportOpts, getDisplayOpts(reportState));
+    lastReport = {report, reportOpts, viewId: reportState.viewId};
   } catch (requestError) {
-    console.error(requestError);
-    addAlert(requestError);
     error = requestError;
+    if (requestError.code === 'report_cancelled') {
+      progress.reset();
+    } else {
+      console.error(requestError);
+      addAlert(requestError);
+    }
   } finally {
+    reportController = null;
     setState({isFetchingData: false});
+    if (getState().showCachePanel) {
+      refreshCacheInfo();
+    }
     measureReport({
       state: getState(),
       duration: Math.round(performance.now() - startTime),
@@ -196,14 +695,125 @@ async function onSubmit(event) {
     // Persist the average number of rows per day in the report. This is
     // used to determine whether subsequent reports should start off being
     // broken up by day.
-    const {startDate, endDate, viewId} = reportState;
-    const avgRowsPerDay = round(
-        report.rows.length / getDatesInRange(startDate, endDate).length, 0);
+    if (report) {
+      const {startDate, endDate, viewId} = reportState;
+      const avgRowsPerDay = round(
+          report.meta.rowCount / getDatesInRange(startDate, endDate).length,
+          0);
 
-    set(`meta:${viewId}`, {avgRowsPerDay});
+      set(`meta:${viewId}`, {avgRowsPerDay});
+    }
+  }
+}
+
+function getViewName(viewId) {
+  for (const views of Object.values(data.viewOpts || {})) {
+    const view = views.find(({id}) => id === viewId);
+    if (view) {
+      return view.name;
+    }
   }
+  return viewId;
 }
 
+function formatMB(bytes) {
+  return `${round(bytes / 1e6, 1)} MB`;
+}
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleDateString() : 'unknown';
+}
+
+const cachePanel = (state, data) => {
+  const {summary, estimate} = data.cache || {};
+  const cacheSize = summary ?
+      summary.reduce((total, view) => total + view.size, 0) : 0;
+
+  return html`
+    <details class="CachePanel" ?open=${state.showCachePanel}
+             @toggle=${onCachePanelToggle}>
+      <summary>Manage cached report data</summary>
+      ${summary ? html`
+        <p class="CachePanel-usage">
+          Cached report data: <b>${formatMB(cacheSize)}</b>
+          ${estimate ? html`
+            (this site is using ${formatMB(estimate.usage)} of
+            ${formatMB(estimate.quota)} of available browser storage)
+          ` : null}
+        </p>
+        <div class="CachePanel-field">
+          <label for="cacheBudget">Cache budget (MB)</label>
+          <input id="cacheBudget" class="CachePanel-budget" type="number"
+                 min="1" .value=${String(getCacheBudget())}
+                 @change=${onCacheBudgetChange}>
+          <p class="CachePanel-note">
+            When the cache is over budget, the least recently used data is
+            deleted first.
+          </p>
+        </div>
+        ${summary.length ? html`
+          <div class="CachePanel-table">
+            <table>
+              <tr>
+                <th>View / options</th>
+                <th>Segments and dates</th>
+                <th class="CachePanel-size">Size</th>
+                <th>Last used</th>
+                <th></th>
+              </tr>
+              ${summary.map((view) => html`
+                <tr class="CachePanel-view">
+                  <td colspan="2">${getViewName(view.viewId)}</td>
+                  <td class="CachePanel-size">${formatMB(view.size)}</td>
+                  <td></td>
+                  <td>
+                    <button type="button" class="CachePanel-action"
+                            @click=${() => onPurgeCache(view)}>
+                      Purge view
+                    </button>
+                  </td>
+                </tr>
+                ${view.optsSets.map((optsSet) => html`
+                  <tr>
+                    <td class="CachePanel-opts">
+                      Options <code>${optsSet.optsHash.slice(0, 8)}</code>
+                    </td>
+                    <td>
+                      ${optsSet.segments.map((segment) => html`
+                        <div>
+                          ${getSegmentNameById(segment.segmentId) ||
+                              segment.segmentId}:
+                          ${segment.startDate} – ${segment.endDate}
+                          (${segment.days} days)
+                        </div>
+                      `)}
+                    </td>
+                    <td class="CachePanel-size">${formatMB(optsSet.size)}</td>
+                    <td>${formatDate(optsSet.lastAccessed)}</td>
+                    <td>
+                      <button type="button" class="CachePanel-action"
+                              @click=${() => onPurgeCache({
+                                viewId: view.viewId,
+                                optsHash: optsSet.optsHash,
+                              })}>
+                        Purge
+                      </button>
+                    </td>
+                  </tr>
+                `)}
+              `)}
+            </table>
+          </div>
+          <button type="button" class="CachePanel-action"
+                  @click=${() => onPurgeCache()}>
+            Clear all cached data
+          </button>
+        ` : html`<p>There is no cached report data.</p>`}
+      ` : html`<p>Loading...</p>`}
+    </details>
+  `;
+};
+
 function renderOpts(selected, options) {
   return options.map(([value, name]) => html`
     <option ?selected=${selected === value} .value=${value}>${name}</option>
@@ -211,10 +821,25 @@ function renderOpts(selected, options) {
 }
 
 const app = (state, data) => {
-  const opts = validateOpts(state[`opts:${state.viewId}`]);
+  const opts = validateOpts(state[`opts:${state.viewId}`], state.viewId);
+  // Invalid thresholds are ignored when the report is rendered, but the
+  // form shows them as entered so they can be edited.
+  const thresholds = {...THRESHOLDS, ...opts.thresholds};
+  const filterBuilder = getFilterBuilder(opts.filters);
+  const pathRulesPreview =
+      getPathRulesPreviewForView(state.viewId, opts.pathRules);
+  const isGA4 = isGA4Property(state.viewId);
   const showCustomDateRangeSelect = state.dateRange < 0;
   const showCustomSegmentsSelect = !state.segmentsRecommended;
 
+  // Only recommend segment pairs that can be emulated for GA4 properties.
+  const segmentsRecommendedOpts = isGA4 ?
+      data.segmentsRecommendedOpts.filter(([value]) => {
+        return !value || value.split(',').every(isGA4Segment);
+      }) :
+      data.segmentsRecommendedOpts;
+  const segmentOpts = isGA4 ? data.ga4SegmentOpts : data.segmentOpts;
+
   return html`
     <form class="Form" @input=${onChange} @submit=${onSubmit}>
       <div class="Form-field">
@@ -250,23 +875,31 @@ const app = (state, data) => {
             </div>
           </div>` :
         null}
+        <div class="Form-subfield">
+          <div class="Form-field">
+            <label>Compare to</label>
+            <select id="compareTo">
+              ${renderOpts(state.compareTo, data.compareToOpts)}
+            </select>
+          </div>
+        </div>
       </div>
       <div class="Form-field">
         <label>3. Compare segments</label>
         <select id="segmentsRecommended">
-          ${renderOpts(state.segmentsRecommended, data.segmentsRecommendedOpts)}
+          ${renderOpts(state.segmentsRecommended, segmentsRecommendedOpts)}
         </select>
         ${showCustomSegmentsSelect ? html`
           <div class="Form-subfield">
             <div class="Form-field">
               <label>First segment</label>
               <select id="segmentA">
-               ${data.segmentOpts ? html`
+               ${segmentOpts ? html`
                 <optgroup label="Built-in Segments">
-                  ${renderOpts(state.segmentA, data.segmentOpts.BUILT_IN)}
+                  ${renderOpts(state.segmentA, segmentOpts.BUILT_IN)}
                 </optgroup>
                 <optgroup label="Custom Segments">
-                  ${renderOpts(state.segmentA, data.segmentOpts.CUSTOM)}
+                  ${renderOpts(state.segmentA, segmentOpts.CUSTOM)}
                 </optgroup>
                ` : null}
               </select>
@@ -274,12 +907,12 @@ const app = (state, data) => {
             <div class="Form-field">
               <label>Second segment</label>
               <select id="segmentB">
-                ${data.segmentOpts ? html`
+                ${segmentOpts ? html`
                   <optgroup label="Built-in Segments">
-                    ${renderOpts(state.segmentB, data.segmentOpts.BUILT_IN)}
+                    ${renderOpts(state.segmentB, segmentOpts.BUILT_IN)}
                   </optgroup>
                   <optgroup label="Custom Segments">
-                    ${renderOpts(state.segmentB, data.segmentOpts.CUSTOM)}
+                    ${renderOpts(state.segmentB, segmentOpts.CUSTOM)}
                   </optgroup>
                 ` : null}
               </select>
@@ -288,12 +921,12 @@ const app = (state, data) => {
               <label>Third segment (optional)</label>
               <select id="segmentC">
                 <option value="">None</option>
-                ${data.segmentOpts ? html`
+                ${segmentOpts ? html`
                   <optgroup label="Built-in Segments">
-                    ${renderOpts(state.segmentC, data.segmentOpts.BUILT_IN)}
+                    ${renderOpts(state.segmentC, segmentOpts.BUILT_IN)}
                   </optgroup>
                   <optgroup label="Custom Segments">
-                    ${renderOpts(state.segmentC, data.segmentOpts.CUSTOM)}
+                    ${renderOpts(state.segmentC, segmentOpts.CUSTOM)}
                   </optgroup>
                 ` : null}
               </select>
@@ -302,12 +935,12 @@ const app = (state, data) => {
               <label>Fourth segment (optional)</label>
               <select id="segmentD">
                 <option value="">None</option>
-                ${data.segmentOpts ? html`
+                ${segmentOpts ? html`
                   <optgroup label="Built-in Segments">
-                    ${renderOpts(state.segmentD, data.segmentOpts.BUILT_IN)}
+                    ${renderOpts(state.segmentD, segmentOpts.BUILT_IN)}
                   </optgroup>
                   <optgroup label="Custom Segments">
-                    ${renderOpts(state.segmentD, data.segmentOpts.CUSTOM)}
+                    ${renderOpts(state.segmentD, segmentOpts.CUSTOM)}
                   </optgroup>
                 ` : null}
               </select>
@@ -316,6 +949,40 @@ const app = (state, data) => {
         ` : null}
       </div>
 
+      <div class="Form-field">
+        <label>4. Choose a percentile</label>
+        <select id="percentile">
+          ${renderOpts(state.percentile, data.percentileOpts)}
+        </select>
+        <label class="Form-checkbox">
+          <input type="checkbox" id="showAllPercentiles"
+                 .checked=${state.showAllPercentiles}>
+          Also show ${DISPLAY_PERCENTILES.map((p) => `p${p}`).join(', ')}
+          in summaries and timelines
+        </label>
+        <label class="Form-checkbox">
+          <input type="checkbox" id="showConfidenceIntervals"
+                 .checked=${state.showConfidenceIntervals}>
+          Show 95% confidence intervals and segment significance
+        </label>
+      </div>
+
+      <div class="Form-field">
+        <label>Timeline granularity</label>
+        <select id="timelineGranularity">
+          ${renderOpts(state.timelineGranularity, data.granularityOpts)}
+        </select>
+        <label class="Form-checkbox">
+          <input type="checkbox" id="rollingWindow"
+                 .checked=${state.rollingWindow}>
+          Use a rolling window of
+          <input class="Form-rollingWindowDays" type="number" min="1"
+                 id="rollingWindowDays" .value=${state.rollingWindowDays}
+                 ?disabled=${!state.rollingWindow}>
+          days (like CrUX's 28-day window)
+        </label>
+      </div>
+
       <div class="Form-field">
         <label class="Form-advancedAction">
           <input type="checkbox" id="opts:active" .checked=${opts.active}>
@@ -334,47 +1001,262 @@ const app = (state, data) => {
                      .value=${opts.metricNameDim}>
             </div>
             <div class="Form-3col">
-              <div class="Form-field">
-                <label>LCP name</label>
-                <input id="opts:lcpName" type="text"
-                       .value=${opts.lcpName}>
-              </div>
-              <div class="Form-field">
-                <label>FID name</label>
-                <input id="opts:fidName" type="text"
-                       .value=${opts.fidName}>
-              </div>
-              <div class="Form-field">
-                <label>CLS name</label>
-                <input id="opts:clsName" type="text"
-                       .value=${opts.clsName}>
-              </div>
-              <div class="Form-field">
-                <label>INP name</label>
-                <input id="opts:inpName" type="text"
-                       .value=${opts.inpName}>
-              </div>
+              ${METRICS.map((metric) => html`
+                <div class="Form-field">
+                  <label>${metric} name</label>
+                  <input id="opts:${getMetricNameOpt(metric)}" type="text"
+                         .value=${opts[getMetricNameOpt(metric)]}>
+                </div>
+              `)}
             </div>
             <div class="Form-field">
-              <label>Debug dimension <em>(optional)</em></label>
-              <input id="opts:debugDim" type="text"
-                    .value=${opts.debugDim}>
+              <label>Debug dimensions <em>(optional, dimension / label)</em>
+              </label>
+              ${opts.debugDims.map((debugDim, index) => html`
+                <div class="Form-breakdown">
+                  <input id="opts:debugDims:${index}:dimension" type="text"
+                         placeholder=${isGA4 ? 'customEvent:debug_target' :
+                             'ga:dimension1'}
+                         .value=${debugDim.dimension}>
+                  <input id="opts:debugDims:${index}:label" type="text"
+                         placeholder="Label"
+                         .value=${debugDim.label}>
+                  <button type="button" class="Form-linkButton"
+                          @click=${() => onRemoveListItem('debugDims',
+                              index)}>
+                    Remove
+                  </button>
+                </div>
+              `)}
+              <button type="button" class="Form-linkButton"
+                      @click=${() => onAddListItem('debugDims')}>
+                Add debug dimension
+              </button>
+            </div>
+            <div class="Form-field">
+              <label>TTFB timing dimension <em>(optional)</em></label>
+              <input id="opts:ttfbTimingDim" type="text"
+                    placeholder=${isGA4 ? 'customEvent:navigation_timing' : ''}
+                    .value=${opts.ttfbTimingDim}>
             </div>
             <div class="Form-field">
               <label>Additional filters <em>(optional)</em></label>
               <input id="opts:filters" type="text"
                      .value=${opts.filters}>
+              ${filterBuilder.error ? html`
+                <p class="Form-error">${filterBuilder.error.message}</p>
+              ` : null}
+              ${filterBuilder.groups ? html`
+                <div class="Form-filterBuilder">
+                  ${filterBuilder.groups.map((group, g) => html`
+                    ${g > 0 ? html`<div class="Form-filterJoin">and</div>` :
+                        null}
+                    <div class="Form-filterGroup">
+                      ${group.map((filter, f) => html`
+                        ${f > 0 ? html`
+                          <div class="Form-filterJoin">or</div>` : null}
+                        <div class="Form-filter">
+                          <input id="filter:${g}:${f}:name" type="text"
+                                 placeholder=${isGA4 ? 'pagePath' :
+                                     'ga:pagePath'}
+                                 .value=${filter.name}>
+                          <select id="filter:${g}:${f}:operator">
+                            ${renderOpts(filter.operator,
+                                data.filterOperatorOpts)}
+                          </select>
+                          <input id="filter:${g}:${f}:value" type="text"
+                                 .value=${filter.value}>
+                          <button type="button" class="Form-linkButton"
+                                  @click=${() => onRemoveFilter(g, f)}>
+                            Remove
+                          </button>
+                        </div>
+                      `)}
+                      <button type="button" class="Form-linkButton"
+                              @click=${() => onAddFilter(g)}>
+                        Add "or" filter
+                      </button>
+                    </div>
+                  `)}
+                  <button type="button" class="Form-linkButton"
+                          @click=${() => onAddFilter()}>
+                    Add ${filterBuilder.groups.length ? '"and" ' : ''}filter
+                  </button>
+                </div>
+              ` : null}
+            </div>
+            <div class="Form-field">
+              <label>Breakdowns <em>(dimension / label)</em></label>
+              ${opts.breakdowns.map((breakdown, index) => html`
+                <div class="Form-breakdown">
+                  <input id="opts:breakdowns:${index}:dimension" type="text"
+                         placeholder=${isGA4 ? 'deviceCategory' :
+                             'ga:deviceCategory'}
+                         .value=${breakdown.dimension}>
+                  <input id="opts:breakdowns:${index}:label" type="text"
+                         placeholder="Label"
+                         .value=${breakdown.label}>
+                  <button type="button" class="Form-linkButton"
+                          @click=${() => onRemoveListItem('breakdowns',
+                              index)}>
+                    Remove
+                  </button>
+                </div>
+              `)}
+              <button type="button" class="Form-linkButton"
+                      @click=${() => onAddListItem('breakdowns')}>
+                Add breakdown
+              </button>
+            </div>
+            <div class="Form-field">
+              <label>Page path grouping</label>
+              <label class="Form-checkbox">
+                <input id="opts:pathRules:stripQueryString" type="checkbox"
+                       .checked=${opts.pathRules.stripQueryString}>
+                Strip query strings and fragments
+              </label>
+              <select id="opts:pathRules:trailingSlash">
+                ${renderOpts(opts.pathRules.trailingSlash,
+                    TRAILING_SLASH_OPTS)}
+              </select>
+              ${opts.pathRules.rewrites.map((rewrite, index) => html`
+                <div class="Form-pathRewrite">
+                  <input id="opts:pathRules:rewrites:${index}:pattern"
+                         type="text" placeholder="^/product/\\d+$"
+                         .value=${rewrite.pattern}>
+                  <input id="opts:pathRules:rewrites:${index}:template"
+                         type="text" placeholder="/product/:id"
+                         .value=${rewrite.template}>
+                  <button type="button" class="Form-linkButton"
+                          @click=${() => onRemovePathRewrite(index)}>
+                    Remove
+                  </button>
+                </div>
+              `)}
+              <button type="button" class="Form-linkButton"
+                      @click=${onAddPathRewrite}>
+                Add rewrite rule
+              </button>
+              ${pathRulesPreview.error ? html`
+                <p class="Form-error">${pathRulesPreview.error.message}</p>
+              ` : null}
+              ${pathRulesPreview.preview ? html`
+                <ul class="Form-preview">
+                  ${pathRulesPreview.preview.rules.map((rule) => html`
+                    <li>
+                      <code>${rule.name}</code>:
+                      ${rule.paths} paths grouped into ${rule.routes}
+                    </li>
+                  `)}
+                  <li>
+                    <b>Total:</b> ${pathRulesPreview.preview.paths} paths in
+                    the last report grouped into
+                    ${pathRulesPreview.preview.routes} routes
+                  </li>
+                </ul>
+              ` : null}
+            </div>
+            <div class="Form-field">
+              <label>Thresholds <em>(good up to / poor above)</em></label>
+              <div class="Form-thresholds">
+                ${METRICS.map((metric) => html`
+                  <span class="Form-thresholdName">${metric}</span>
+                  ${[0, 1].map((index) => html`
+                    <input id="opts:thresholds:${metric}:${index}"
+                           type="number" min="0" step="any"
+                           .value=${String(thresholds[metric][index])}>
+                  `)}
+                `)}
+              </div>
+              <button type="button" class="Form-linkButton"
+                      @click=${onResetThresholds}>
+                Reset to defaults
+              </button>
+            </div>
+            <div class="Form-field">
+              <label>Budgets <em>(optional)</em></label>
+              ${opts.budgets.length ? html`
+                <div class="Form-budget Form-budgetHeader">
+                  <span>Metric</span>
+                  <span>Percentile</span>
+                  <span>Budget</span>
+                  <span>Segment</span>
+                  <span>Pages <em>(regex)</em></span>
+                </div>
+              ` : null}
+              ${opts.budgets.map((budget, index) => html`
+                <div class="Form-budget">
+                  <select id="opts:budgets:${index}:metric">
+                    ${renderOpts(budget.metric,
+                        METRICS.map((metric) => [metric, metric]))}
+                  </select>
+                  <select id="opts:budgets:${index}:percentile">
+                    ${renderOpts(budget.percentile, data.percentileOpts)}
+                  </select>
+                  <input id="opts:budgets:${index}:threshold" type="number"
+                         min="0" step="any"
+                         placeholder=${String(THRESHOLDS[budget.metric][0])}
+                         .value=${budget.threshold}>
+                  <select id="opts:budgets:${index}:segment">
+                    ${renderOpts(budget.segment, [
+                      ['', 'All segments'],
+                      ...getReportSegments(state),
+                    ])}
+                  </select>
+                  <input id="opts:budgets:${index}:pages" type="text"
+                         placeholder="All pages"
+                         .value=${budget.pages}>
+                  <button type="button" class="Form-linkButton"
+                          @click=${() => onRemoveListItem('budgets', index)}>
+                    Remove
+                  </button>
+                </div>
+              `)}
+              <button type="button" class="Form-linkButton"
+                      @click=${() => onAddListItem('budgets')}>
+                Add budget
+              </button>
             </div>
           </div>`
         : null}
       </div>
 
+      ${state.drillDown.length ? html`
+        <nav class="Form-drillDown" aria-label="Drill-down filters">
+          <button type="button" class="Form-linkButton"
+                  @click=${() => onPopDrillDown(0)}>
+            All data
+          </button>
+          ${state.drillDown.map((drillDown, index) => html`
+            <span class="Form-drillDownSeparator">›</span>
+            ${index === state.drillDown.length - 1 ? html`
+              <span>
+                ${drillDown.label}: <b>${drillDown.value}</b>
+                ${renderDrillDownPaths(drillDown)}
+              </span>
+            ` : html`
+              <button type="button" class="Form-linkButton"
+                      @click=${() => onPopDrillDown(index + 1)}>
+                ${drillDown.label}: ${drillDown.value}
+                ${renderDrillDownPaths(drillDown)}
+              </button>
+            `}
+          `)}
+        </nav>`
+      : null}
+
       <div class="Form-action">
         <button class="Button" .disabled=${state.isFetchingData}>
           ${state.isFetchingData ? `Loading... ${state.progress}` : 'Submit'}
         </button>
+        ${state.isFetchingData ? html`
+          <button type="button" class="Form-linkButton" @click=${onCancel}>
+            Cancel
+          </button>`
+        : null}
       </di>
     </form>
+    ${cachePanel(state, data)}
   `;
 };
 
@@ -413,6 +1295,7 @@ function handleSignInChange(isSignedIn) {
 
 async function init() {
   initAnalytics();
+  setDBErrorReporter(measureCaughtError);
 
   const isSignedIn = await checkAuthStatus();
   handleSignInChange(isSignedIn);
@@ -421,10 +1304,19 @@ async function init() {
     const defaultState = {
       dateRange: 7,
       segmentsRecommended: '-15,-14',
+      compareTo: '',
+      percentile: '75',
+      showAllPercentiles: false,
+      showConfidenceIntervals: true,
+      timelineGranularity: 'day',
+      rollingWindow: false,
+      rollingWindowDays: '28',
+      showCachePanel: false,
     };
     const loadState = {
       isFetchingData: false,
       isSignedIn,
+      drillDown: [],
     };
     return Object.assign(defaultState, storedState, loadState);
   });
@@ -432,11 +1324,22 @@ async function init() {
   addChangeListener('dateRange', onDateRangeChange);
   addChangeListener('segmentsRecommended', onSegmentsRecommendedChange);
   addChangeListener('isFetchingData', onIsFetchingDataChange);
+  addChangeListener('percentile', onDisplayOptsChange);
+  addChangeListener('showAllPercentiles', onDisplayOptsChange);
+  addChangeListener('showConfidenceIntervals', onDisplayOptsChange);
+  addChangeListener('timelineGranularity', onDisplayOptsChange);
+  addChangeListener('rollingWindow', onDisplayOptsChange);
+  addChangeListener('rollingWindowDays', onDisplayOptsChange);
+  addChangeListener('showCachePanel', onShowCachePanelChange);
+  addChangeListener('viewId', onViewIdChange);
   addChangeListener('*', queueRender);
 
+  document.getElementById('report').addEventListener('drilldown', onDrillDown);
+
   onSignInChange(handleSignInChange);
   onDateRangeChange(state.dateRange);
   onSegmentsRecommendedChange(state.segmentsRecommended);
+  onShowCachePanelChange(state.showCachePanel);
 
   renderApp();
 
@@ -0,0 +1,57 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {aggregateReport} from './js/aggregate.js';
+import {decodeRows} from './js/encoding.js';
+
+
+/**
+ * Reads an array of report row chunks into a single array of rows, posting
+ * a progress message after each chunk. Chunks from the cache are still
+ * encoded, so they're decoded here rather than on the main thread.
+ * @param {Array<Array|Object>} chunks
+ * @return {Array}
+ */
+function readChunks(chunks) {
+  const rows = [];
+  for (const chunk of chunks) {
+    const chunkRows = Array.isArray(chunk) ? chunk : decodeRows(chunk);
+    for (const row of chunkRows) {
+      rows.push(row);
+    }
+    postMessage({type: 'progress'});
+  }
+  return rows;
+}
+
+addEventListener('message', ({data: message}) => {
+  const {chunks, ttfbChunks, breakdownReports, context} = message;
+  try {
+    const rows = readChunks(chunks);
+    const ttfbRows = ttfbChunks ? readChunks(ttfbChunks) : null;
+    const breakdownRows = breakdownReports.map(({chunks, dimensions}) => {
+      return {rows: readChunks(chunks), dimensions};
+    });
+    const data = aggregateReport(rows, ttfbRows, breakdownRows, context);
+
+    postMessage({type: 'result', data, rowCount: rows.length});
+  } catch (error) {
+    // Errors can't be cloned with their custom properties, so the main
+    // thread recreates any `WebVitalsError` from its code and params.
+    const {code, params, message} = error;
+    postMessage({type: 'error', error: {code, params, message}});
+  }
+});
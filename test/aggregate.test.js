@@ -0,0 +1,131 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* global structuredClone */
+
+import assert from 'assert/strict';
+import {describe, it} from 'node:test';
+import {aggregateReport} from '../src/js/aggregate.js';
+
+
+const CONTEXT = {
+  segments: [['-15', 'Desktop'], ['-14', 'Mobile']],
+  metricNameMap: {LCP: 'LCP', FID: 'FID', CLS: 'CLS'},
+  breakdowns: [{dimension: 'ga:country', label: 'Country'}],
+  mainDims: ['ga:country', 'ga:pagePath'],
+  pageDim: 'ga:pagePath',
+  pathRules: {stripQueryString: false, trailingSlash: '', rewrites: []},
+  debugDims: [],
+};
+
+/**
+ * Returns a main report row with the dimensions
+ * `[segmentId, date, metric, country, page, metricId]`.
+ * @param {string} segmentId
+ * @param {string} metric
+ * @param {string} metricId
+ * @param {number} value
+ * @param {{country: (string|undefined), page: (string|undefined)}} [dims]
+ * @return {Object}
+ */
+function row(segmentId, metric, metricId, value, dims = {}) {
+  const {country = 'Japan', page = '/'} = dims;
+  return {
+    dimensions: [segmentId, '20210601', metric, country, page, metricId],
+    metrics: [{values: [String(value)]}],
+  };
+}
+
+function aggregate(rows) {
+  return aggregateReport(rows, null, [], CONTEXT);
+}
+
+describe('aggregateReport', () => {
+  it('throws when there are no rows', () => {
+    assert.throws(() => aggregate([]), {code: 'no_web_vitals_events'});
+  });
+
+  it('sums the deltas of rows with the same metric ID', () => {
+    const data = aggregate([
+      row('-15', 'CLS', 'v1-1', 50),
+      row('-15', 'CLS', 'v1-1', 20),
+      row('-15', 'CLS', 'v1-2', 100),
+      row('-15', 'CLS', 'v1-1', 30),
+    ]);
+
+    // CLS values are sent at 1000x.
+    assert.deepEqual(data.metrics.CLS.segments.Desktop, [0.1, 0.1]);
+  });
+
+  it('keeps page loads in different segments separate', () => {
+    const data = aggregate([
+      row('-15', 'LCP', 'v1-1', 1000),
+      row('-14', 'LCP', 'v1-1', 1000),
+    ]);
+
+    assert.deepEqual(data.metrics.LCP.segments.Desktop, [1000]);
+    assert.deepEqual(data.metrics.LCP.segments.Mobile, [1000]);
+  });
+
+  it('uses the dimensions of the row with the largest delta', () => {
+    const data = aggregate([
+      row('-15', 'CLS', 'v1-1', 10, {page: '/a'}),
+      row('-15', 'CLS', 'v1-1', 200, {page: '/b'}),
+      row('-15', 'CLS', 'v1-1', 50, {page: '/c'}),
+    ]);
+
+    assert.deepEqual(Object.keys(data.pages), ['/b']);
+    assert.deepEqual([...data.pages['/b'].CLS.Desktop], [0.26]);
+  });
+
+  it('counts rows without a metric ID as separate page loads', () => {
+    const data = aggregate([
+      row('-15', 'LCP', '', 1000),
+      row('-15', 'LCP', '', 2000),
+      row('-15', 'LCP', '(not set)', 3000),
+      row('-15', 'LCP', '(not set)', 4000),
+      row('-15', 'LCP', 'v1-1', 500),
+    ]);
+
+    assert.deepEqual(
+        data.metrics.LCP.segments.Desktop, [500, 1000, 2000, 3000, 4000]);
+  });
+
+  it('sorts values after summing deltas', () => {
+    const data = aggregate([
+      row('-15', 'CLS', 'v1-1', 100),
+      row('-15', 'CLS', 'v1-2', 150),
+      row('-15', 'CLS', 'v1-1', 100),
+    ]);
+
+    assert.deepEqual(data.metrics.CLS.values, [0.15, 0.2]);
+  });
+
+  it('counts the values of each breakdown value', () => {
+    const data = aggregate([
+      row('-15', 'LCP', 'v1-1', 1000, {country: 'India'}),
+      row('-15', 'LCP', 'v1-2', 1000, {country: 'Japan'}),
+      row('-14', 'FID', 'v1-3', 10, {country: 'Japan'}),
+      row('-14', 'FID', 'v1-3', 10, {country: 'Japan'}),
+    ]);
+    const [countries] = data.breakdowns;
+
+    // Values are sorted by their count, which is kept when the data is
+    // posted from the worker.
+    assert.deepEqual(Object.keys(countries.values), ['Japan', 'India']);
+    assert.deepEqual(structuredClone(countries.counts), {Japan: 2, India: 1});
+  });
+});
@@ -0,0 +1,183 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import 'fake-indexeddb/auto';
+import http from 'http';
+import {openDB} from 'idb';
+import {after, before, describe, it} from 'node:test';
+import {decodeRows} from '../src/js/encoding.js';
+import {hashObj} from '../src/js/utils.js';
+
+
+// The cache and API modules expect to run on a page, with a signed in user.
+global.addEventListener = () => {};
+global.gapi = {
+  auth2: {
+    getAuthInstance: () => ({
+      currentUser: {
+        get: () => ({getAuthResponse: () => ({access_token: 'token'})}),
+      },
+    }),
+  },
+};
+
+const DB_NAME = 'web-vitals-cache';
+const KEY_PATH = ['viewId', 'segmentId', 'optsHash', 'date'];
+
+const VIEW_ID = '12345';
+const DATE = '2021-06-01';
+
+const reportRequest = {
+  viewId: VIEW_ID,
+  dateRanges: [{startDate: DATE, endDate: DATE}],
+  segments: [{segmentId: 'gaid::-15'}],
+  metrics: [{expression: 'ga:eventValue'}],
+  dimensions: [
+    {name: 'ga:segment'},
+    {name: 'ga:date'},
+    {name: 'ga:eventAction'},
+    {name: 'ga:eventLabel'},
+  ],
+  dimensionFilterClauses: [],
+};
+
+function getRows() {
+  return [
+    {
+      dimensions: ['-15', '20210601', 'LCP', 'v1-1'],
+      metrics: [{values: ['1250']}],
+    },
+    {
+      dimensions: ['-15', '20210601', 'CLS', 'v1-2'],
+      metrics: [{values: ['12']}],
+    },
+  ];
+}
+
+async function getCacheKey() {
+  const {dimensions, dimensionFilterClauses} = reportRequest;
+  const optsHash = await hashObj({dimensions, dimensionFilterClauses});
+  return {viewId: VIEW_ID, segmentId: '-15', optsHash, date: DATE};
+}
+
+/**
+ * Runs the passed callback with the cache database, which is opened at the
+ * passed version (and created with the passed upgrade callback if needed).
+ * @param {number} version
+ * @param {function(IDBPDatabase)} callback
+ * @param {function(IDBPDatabase)} [upgrade]
+ */
+async function withDB(version, callback, upgrade) {
+  const db = await openDB(DB_NAME, version, {upgrade});
+  try {
+    await callback(db);
+  } finally {
+    db.close();
+  }
+}
+
+describe('cache', () => {
+  let api;
+  let cache;
+  let server;
+  const requests = [];
+
+  before(async () => {
+    // Create a v4 database (which stored rows as JSON), to test that it's
+    // upgraded when the cache is first used.
+    const key = await getCacheKey();
+    await withDB(4, async (db) => {
+      await db.put('data', {...key, json: JSON.stringify(getRows())});
+      await db.put('entries', {...key, size: 1, lastAccessed: 0});
+    }, (db) => {
+      db.createObjectStore('data', {keyPath: KEY_PATH});
+      db.createObjectStore('entries', {keyPath: KEY_PATH})
+          .createIndex('lastAccessed', 'lastAccessed');
+    });
+
+    // The API responds with the same rows, but with the segment name (as
+    // the Reporting API does).
+    server = http.createServer((request, response) => {
+      requests.push(request.url);
+      const rows = getRows().map(({dimensions, metrics}) => {
+        return {
+          dimensions: ['Tablet and Desktop Traffic', ...dimensions.slice(1)],
+          metrics,
+        };
+      });
+      response.writeHead(200, {'content-type': 'application/json'});
+      response.end(JSON.stringify({
+        reports: [{data: {rowCount: rows.length, rows, isDataGolden: true}}],
+      }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    // These modules read the page globals above when they're imported.
+    cache = await import('../src/js/cache.js');
+    api = await import('../src/js/api.js');
+    const {progress} = await import('../src/js/Progress.js');
+
+    api.setAPIURLs({
+      reporting: `http://127.0.0.1:${server.address().port}/batchGet`,
+    });
+    progress.init(() => {});
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('converts JSON rows to the columnar encoding when upgrading', async () => {
+    const key = await getCacheKey();
+    const rows = await cache.getCachedRows(KEY_PATH.map((k) => key[k]));
+
+    assert.deepEqual(decodeRows(rows), getRows());
+  });
+
+  it('reads reports from the cache', async () => {
+    const {chunks, meta} = await api.getReport(reportRequest);
+
+    assert.equal(meta.source, 'cache');
+    assert.equal(requests.length, 0);
+    assert.deepEqual(chunks.flatMap((chunk) => {
+      return Array.isArray(chunk) ? chunk : decodeRows(chunk);
+    }), getRows());
+  });
+
+  it('rejects truncated entries', async () => {
+    const key = await getCacheKey();
+    await withDB(5, async (db) => {
+      const {rows, ...value} =
+          await db.get('data', KEY_PATH.map((k) => key[k]));
+      await db.put('data', {
+        ...value,
+        rows: {...rows, values: rows.values.subarray(0, 1)},
+      });
+    });
+
+    await assert.rejects(cache.getCachedRows(KEY_PATH.map((k) => key[k])),
+        {message: 'Cached rows could not be decoded'});
+  });
+
+  it('re-fetches the report when an entry is corrupt', async () => {
+    const {chunks, meta} = await api.getReport(reportRequest);
+
+    assert.equal(meta.source, 'network');
+    assert.equal(requests.length, 1);
+    assert.deepEqual(chunks, [getRows()]);
+  });
+});
@@ -0,0 +1,125 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* global structuredClone */
+
+import assert from 'assert/strict';
+import {describe, it} from 'node:test';
+import {decodeRows, encodeRows, getEncodedSize, validateEncodedRows} from '../src/js/encoding.js';
+
+
+function row(dimensions, value) {
+  return {dimensions, metrics: [{values: [value]}]};
+}
+
+const ROWS = [
+  row(['-15', '20210601', 'LCP', 'v1-1', '/'], '1250'),
+  row(['-15', '20210601', 'CLS', 'v1-2', '/'], '12'),
+  row(['-14', '20210601', 'LCP', 'v1-3', '/about'], '3100'),
+  row(['-14', '20210602', 'FID', 'v1-4', '/'], '8'),
+];
+
+describe('encodeRows', () => {
+  it('dictionary-encodes each dimension', () => {
+    const encoded = encodeRows(ROWS);
+
+    assert.equal(encoded.rowCount, 4);
+    assert.deepEqual(encoded.dictionaries[0], ['-15', '-14']);
+    assert.deepEqual([...encoded.indexes[0]], [0, 0, 1, 1]);
+    assert.ok(encoded.indexes[0] instanceof Uint8Array);
+    assert.ok(encoded.values instanceof Int32Array);
+  });
+
+  it('uses larger index arrays for larger dictionaries', () => {
+    const rows = Array.from({length: 300}, (_, i) => row([`v1-${i}`], '1'));
+    assert.ok(encodeRows(rows).indexes[0] instanceof Uint16Array);
+  });
+
+  it('stores non-integer values as floats', () => {
+    const encoded = encodeRows([row(['a'], '1.5'), row(['b'], '2')]);
+    assert.ok(encoded.values instanceof Float64Array);
+  });
+
+  it('returns the size of the encoded rows', () => {
+    const encoded = encodeRows([row(['ab', 'c'], '1'), row(['ab', 'de'], '2')]);
+
+    // Two one-byte indexes per dimension, two four-byte values, and the
+    // five characters of the unique values.
+    assert.equal(getEncodedSize(encoded), 2 + 2 + 8 + 5);
+  });
+});
+
+describe('decodeRows', () => {
+  it('decodes the rows that were encoded', () => {
+    assert.deepEqual(decodeRows(encodeRows(ROWS)), ROWS);
+  });
+
+  it('decodes float values', () => {
+    const rows = [row(['a'], '1.5'), row(['b'], '-0.25')];
+    assert.deepEqual(decodeRows(encodeRows(rows)), rows);
+  });
+
+  it('decodes rows that were structured cloned', () => {
+    const encoded = structuredClone(encodeRows(ROWS));
+    assert.deepEqual(decodeRows(encoded), ROWS);
+  });
+
+  it('decodes an empty set of rows', () => {
+    assert.deepEqual(decodeRows(encodeRows([])), []);
+  });
+});
+
+describe('validateEncodedRows', () => {
+  const assertInvalid = (encoded) => {
+    assert.throws(() => validateEncodedRows(encoded),
+        {message: 'Cached rows could not be decoded'});
+  };
+
+  it('accepts encoded rows', () => {
+    validateEncodedRows(encodeRows(ROWS));
+    validateEncodedRows(encodeRows([]));
+  });
+
+  it('rejects missing or JSON rows', () => {
+    assertInvalid(undefined);
+    assertInvalid(null);
+    assertInvalid({json: JSON.stringify(ROWS)});
+  });
+
+  it('rejects truncated values or indexes', () => {
+    const encoded = encodeRows(ROWS);
+    assertInvalid({...encoded, values: encoded.values.subarray(0, 2)});
+    assertInvalid({
+      ...encoded,
+      indexes: [encoded.indexes[0].subarray(0, 3), ...encoded.indexes.slice(1)],
+    });
+    assertInvalid({...encoded, indexes: encoded.indexes.slice(1)});
+  });
+
+  it('rejects indexes outside of their dictionary', () => {
+    const encoded = encodeRows(ROWS);
+    assertInvalid({
+      ...encoded,
+      dictionaries: [['-15'], ...encoded.dictionaries.slice(1)],
+    });
+  });
+
+  it('rejects values that aren\'t typed arrays', () => {
+    const encoded = encodeRows(ROWS);
+    assertInvalid({...encoded, values: [...encoded.values]});
+    assertInvalid({...encoded, rowCount: '4'});
+  });
+});
@@ -0,0 +1,229 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import {describe, it} from 'node:test';
+import {parseFilters, stringifyFilters, toFilterClauses, toGA4FilterExpressions} from '../src/js/filters.js';
+
+
+/**
+ * Asserts that parsing the input throws an `invalid_filter_expression`
+ * error with the passed reason and (one-based) position.
+ * @param {string} input
+ * @param {string} reason
+ * @param {number} position
+ */
+function assertFilterError(input, reason, position) {
+  assert.throws(() => parseFilters(input), (error) => {
+    assert.equal(error.code, 'invalid_filter_expression');
+    assert.deepEqual(error.params, [input, reason, position]);
+    return true;
+  });
+}
+
+describe('parseFilters', () => {
+  it('returns no groups for an empty expression', () => {
+    assert.deepEqual(parseFilters(''), []);
+    assert.deepEqual(parseFilters('  '), []);
+  });
+
+  it('parses a single dimension filter', () => {
+    assert.deepEqual(parseFilters('ga:country==Japan'), [[{
+      name: 'ga:country',
+      operator: '==',
+      value: 'Japan',
+      isMetric: false,
+      position: 0,
+    }]]);
+  });
+
+  it('gives OR (",") precedence over AND (";")', () => {
+    const groups = parseFilters('ga:country==Japan,ga:country==India;' +
+        'ga:deviceCategory!=mobile');
+
+    assert.deepEqual(groups.map((group) => group.map((f) => f.value)),
+        [['Japan', 'India'], ['mobile']]);
+    assert.deepEqual(groups.map((group) => group.map((f) => f.position)),
+        [[0, 18], [36]]);
+  });
+
+  it('matches the longest operator', () => {
+    const operators = ['==', '!=', '=@', '!@', '=~', '!~'].map((op) => {
+      return parseFilters(`ga:pagePath${op}/a`)[0][0].operator;
+    });
+    assert.deepEqual(operators, ['==', '!=', '=@', '!@', '=~', '!~']);
+
+    const [[filter]] = parseFilters('ga:eventValue>=100');
+    assert.equal(filter.operator, '>=');
+    assert.equal(filter.value, '100');
+  });
+
+  it('unescapes commas, semicolons, and backslashes in values', () => {
+    const [[filter]] = parseFilters('ga:pageTitle==a\\,b\\;c\\\\');
+    assert.equal(filter.value, 'a,b;c\\');
+  });
+
+  it('keeps other backslashes as is', () => {
+    const [[filter]] = parseFilters('ga:pagePath=~^/post/\\d+$');
+    assert.equal(filter.value, '^/post/\\d+$');
+  });
+
+  it('allows empty values for exact matches', () => {
+    const [[filter]] = parseFilters('ga:dimension1==');
+    assert.equal(filter.value, '');
+  });
+
+  it('parses metric filters', () => {
+    const [[filter]] = parseFilters('eventValue<2500');
+    assert.equal(filter.isMetric, true);
+    assert.equal(filter.value, '2500');
+  });
+
+  it('reports a missing filter with its position', () => {
+    assertFilterError('ga:country==Japan;', 'expected a filter', 19);
+    assertFilterError(',ga:country==Japan', 'expected a filter', 1);
+  });
+
+  it('reports a missing name with its position', () => {
+    assertFilterError('ga:country==Japan;==India',
+        'expected a dimension or metric name', 19);
+  });
+
+  it('reports a missing operator with its position', () => {
+    assertFilterError('ga:country==Japan,ga:deviceCategory',
+        'expected an operator after "ga:deviceCategory"', 36);
+    assertFilterError('ga:country Japan',
+        'expected an operator after "ga:country"', 11);
+  });
+
+  it('reports operators that can\'t be used with the name', () => {
+    assertFilterError('ga:country>5',
+        '">" can\'t be used with the dimension "ga:country"', 11);
+    assertFilterError('ga:eventValue=~1',
+        '"=~" can\'t be used with the metric "ga:eventValue"', 14);
+  });
+
+  it('reports missing or invalid values with their position', () => {
+    assertFilterError('ga:pagePath=@', 'expected a value after "=@"', 14);
+    assertFilterError('ga:eventValue>', 'expected a number after ">"', 15);
+    assertFilterError('ga:eventValue>fast',
+        'expected a number after ">"', 15);
+  });
+
+  it('reports dimension and metric filters combined with OR', () => {
+    assertFilterError('ga:country==Japan,ga:eventValue>100',
+        'dimension and metric filters can\'t be combined with ","', 19);
+  });
+});
+
+describe('stringifyFilters', () => {
+  it('round-trips parsed expressions, escaping values', () => {
+    const input = 'ga:pageTitle==a\\,b;ga:pagePath=~\\d+,ga:pagePath==/';
+    assert.equal(stringifyFilters(parseFilters(input)), input);
+  });
+
+  it('skips filters without a name', () => {
+    const groups = [
+      [{name: 'ga:country', operator: '==', value: 'Japan'}],
+      [{name: '', operator: '==', value: ''}],
+    ];
+    assert.equal(stringifyFilters(groups), 'ga:country==Japan');
+  });
+});
+
+describe('toFilterClauses', () => {
+  it('maps dimension OR groups to dimension filter clauses', () => {
+    const groups = parseFilters('ga:country==Japan,ga:pagePath!~^/admin');
+
+    assert.deepEqual(toFilterClauses(groups), {
+      dimensionFilterClauses: [{
+        operator: 'OR',
+        filters: [{
+          dimensionName: 'ga:country',
+          not: false,
+          operator: 'EXACT',
+          expressions: ['Japan'],
+        }, {
+          dimensionName: 'ga:pagePath',
+          not: true,
+          operator: 'REGEXP',
+          expressions: ['^/admin'],
+        }],
+      }],
+      metricFilterClauses: [],
+    });
+  });
+
+  it('maps metric groups to metric filter clauses', () => {
+    const groups = parseFilters('ga:pagePath=@blog;ga:eventValue>=100');
+
+    assert.deepEqual(toFilterClauses(groups), {
+      dimensionFilterClauses: [{
+        operator: 'OR',
+        filters: [{
+          dimensionName: 'ga:pagePath',
+          not: false,
+          operator: 'PARTIAL',
+          expressions: ['blog'],
+        }],
+      }],
+      metricFilterClauses: [{
+        operator: 'OR',
+        filters: [{
+          metricName: 'ga:eventValue',
+          not: true,
+          operator: 'LESS_THAN',
+          comparisonValue: '100',
+        }],
+      }],
+    });
+  });
+});
+
+describe('toGA4FilterExpressions', () => {
+  it('maps groups to Data API filter expressions', () => {
+    const groups = parseFilters('country==Japan,country!=India;eventValue<5');
+
+    assert.deepEqual(toGA4FilterExpressions(groups), {
+      dimensionExpressions: [{
+        orGroup: {
+          expressions: [{
+            filter: {
+              fieldName: 'country',
+              stringFilter: {matchType: 'EXACT', value: 'Japan'},
+            },
+          }, {
+            notExpression: {
+              filter: {
+                fieldName: 'country',
+                stringFilter: {matchType: 'EXACT', value: 'India'},
+              },
+            },
+          }],
+        },
+      }],
+      metricExpressions: [{
+        filter: {
+          fieldName: 'eventValue',
+          numericFilter: {
+            operation: 'LESS_THAN',
+            value: {doubleValue: 5},
+          },
+        },
+      }],
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import http from 'http';
+import {after, before, beforeEach, describe, it} from 'node:test';
+import {fetchJSONWithRetry} from '../src/js/retry.js';
+
+
+// Short delays so the tests don't wait for the default backoff.
+const RETRY_OPTS = {maxRetries: 3, baseDelay: 10, maxDelay: 50};
+
+/**
+ * A fake API endpoint that responds to each request with the next queued
+ * response, and records when each request was received.
+ */
+const fakeEndpoint = {
+  responses: [],
+  requests: [],
+  server: null,
+  url: '',
+};
+
+function queueResponse(status, body, headers = {}) {
+  fakeEndpoint.responses.push({status, body, headers});
+}
+
+function apiError(code, message, reason) {
+  return {error: {code, message, errors: reason ? [{reason}] : []}};
+}
+
+describe('fetchJSONWithRetry', () => {
+  before(async () => {
+    fakeEndpoint.server = http.createServer((request, response) => {
+      fakeEndpoint.requests.push(Date.now());
+      const {status, body, headers} = fakeEndpoint.responses.shift();
+      const isJSON = typeof body !== 'string';
+      response.writeHead(status, {
+        'content-type': isJSON ? 'application/json' : 'text/html',
+        ...headers,
+      });
+      response.end(isJSON ? JSON.stringify(body) : body);
+    });
+    await new Promise((resolve) => {
+      fakeEndpoint.server.listen(0, '127.0.0.1', resolve);
+    });
+    const {port} = fakeEndpoint.server.address();
+    fakeEndpoint.url = `http://127.0.0.1:${port}/v4/reports:batchGet`;
+  });
+
+  after(() => new Promise((resolve) => fakeEndpoint.server.close(resolve)));
+
+  beforeEach(() => {
+    fakeEndpoint.responses = [];
+    fakeEndpoint.requests = [];
+  });
+
+  it('returns the JSON of a successful response', async () => {
+    queueResponse(200, {reports: [{id: 1}]});
+
+    const json = await fetchJSONWithRetry(fakeEndpoint.url, {}, RETRY_OPTS);
+
+    assert.deepEqual(json, {reports: [{id: 1}]});
+    assert.equal(fakeEndpoint.requests.length, 1);
+  });
+
+  it('retries rate limit and server errors', async () => {
+    queueResponse(429, apiError(429, 'Too many requests'));
+    queueResponse(503, apiError(503, 'Backend error'));
+    queueResponse(403, apiError(403, 'Rate limit', 'userRateLimitExceeded'));
+    queueResponse(200, {reports: []});
+
+    const json = await fetchJSONWithRetry(fakeEndpoint.url, {}, RETRY_OPTS);
+
+    assert.deepEqual(json, {reports: []});
+    assert.equal(fakeEndpoint.requests.length, 4);
+  });
+
+  it('retries server errors without a JSON body', async () => {
+    queueResponse(502, '<html>Bad gateway</html>');
+    queueResponse(200, {reports: []});
+
+    const json = await fetchJSONWithRetry(fakeEndpoint.url, {}, RETRY_OPTS);
+
+    assert.deepEqual(json, {reports: []});
+    assert.equal(fakeEndpoint.requests.length, 2);
+  });
+
+  it('throws once the retries are used up', async () => {
+    for (let i = 0; i <= RETRY_OPTS.maxRetries; i++) {
+      queueResponse(503, apiError(503, 'Backend error'));
+    }
+
+    await assert.rejects(
+        fetchJSONWithRetry(fakeEndpoint.url, {}, RETRY_OPTS),
+        {message: '503: Backend error'});
+    assert.equal(fakeEndpoint.requests.length, RETRY_OPTS.maxRetries + 1);
+  });
+
+  it('does not retry other errors', async () => {
+    queueResponse(400, apiError(400, 'Invalid dimension'));
+
+    await assert.rejects(
+        fetchJSONWithRetry(fakeEndpoint.url, {}, RETRY_OPTS),
+        {message: '400: Invalid dimension'});
+    assert.equal(fakeEndpoint.requests.length, 1);
+  });
+
+  it('throws a quota error when the daily quota is used up', async () => {
+    queueResponse(403, apiError(403, 'Daily limit', 'dailyLimitExceeded'));
+
+    await assert.rejects(
+        fetchJSONWithRetry(fakeEndpoint.url, {}, RETRY_OPTS),
+        {code: 'quota_exceeded'});
+    assert.equal(fakeEndpoint.requests.length, 1);
+  });
+
+  it('throws an error for a successful response that is not JSON', async () => {
+    queueResponse(200, '<html>Sign in</html>');
+
+    await assert.rejects(
+        fetchJSONWithRetry(fakeEndpoint.url, {}, RETRY_OPTS),
+        {code: 'invalid_api_response'});
+  });
+
+  it('honors Retry-After up to the maximum delay', async () => {
+    queueResponse(429, apiError(429, 'Too many requests'), {
+      'retry-after': '3600',
+    });
+    queueResponse(200, {reports: []});
+
+    await fetchJSONWithRetry(fakeEndpoint.url, {}, RETRY_OPTS);
+
+    const [first, second] = fakeEndpoint.requests;
+    assert.ok(second - first >= RETRY_OPTS.maxDelay - 5);
+    assert.ok(second - first < 1000);
+  });
+
+  it('releases the throttle while waiting to retry', async () => {
+    let activeRequests = 0;
+    const activeWhileWaiting = [];
+    const throttle = {
+      acquire: async () => activeRequests++,
+      release: () => activeRequests--,
+    };
+    queueResponse(503, apiError(503, 'Backend error'));
+    queueResponse(200, {reports: []});
+
+    const request = fetchJSONWithRetry(fakeEndpoint.url, {},
+        {...RETRY_OPTS, baseDelay: 200, maxDelay: 200}, throttle);
+
+    // Check the throttle while the request is waiting to be retried.
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    activeWhileWaiting.push(activeRequests);
+    await request;
+
+    assert.equal(fakeEndpoint.requests.length, 2);
+    assert.deepEqual(activeWhileWaiting, [0]);
+    assert.equal(activeRequests, 0);
+  });
+
+  it('stops waiting to retry when the request is aborted', async () => {
+    const controller = new AbortController();
+    queueResponse(503, apiError(503, 'Backend error'));
+
+    const request = fetchJSONWithRetry(fakeEndpoint.url,
+        {signal: controller.signal}, {...RETRY_OPTS, baseDelay: 10000});
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(request, {name: 'AbortError'});
+    assert.equal(fakeEndpoint.requests.length, 1);
+  });
+});